@@ -0,0 +1,386 @@
+/**
+ * Portfolio App
+ * Creates the shared services (event bus, i18n, scroll scheduler,
+ * announcer, toasts), mounts every component through the
+ * ComponentRegistry and handles global functionality. Started by
+ * js/main.js.
+ */
+
+import { EventBus } from "./modules/event-bus.js";
+import { ComponentRegistry } from "./modules/component-registry.js";
+import { ScrollScheduler } from "./modules/scroll-scheduler.js";
+import { Announcer } from "./modules/announcer.js";
+import { ToastManager } from "./modules/toasts.js";
+import { I18nManager } from "./modules/i18n.js";
+import { ThemeManager } from "./modules/theme.js";
+import { AccessibilityManager } from "./modules/accessibility.js";
+import { NavbarComponent } from "./components/navbar.js";
+import { ScrollProgress } from "./components/scroll-progress.js";
+import { ProjectsComponent } from "./components/projects.js";
+import { SkillsComponent } from "./components/skills.js";
+import { CoursesComponent } from "./components/courses.js";
+import { TimelineComponent } from "./components/timeline.js";
+import { ContactFormComponent } from "./components/contact-form.js";
+import { ContactCard } from "./components/contact-card.js";
+import { AnimationManager } from "./modules/animations.js";
+import { Router } from "./modules/router.js";
+import { ConsentManager } from "./modules/consent.js";
+import { ContentLoader } from "./modules/content.js";
+import { PrintController } from "./modules/print.js";
+import { AnalyticsManager } from "./modules/analytics.js";
+import { VitalsCollector } from "./modules/vitals.js";
+import { PerfOverlay } from "./components/perf-overlay.js";
+import { ServiceWorkerManager } from "./modules/pwa.js";
+
+// Catalogs and palettes register themselves when imported
+import "./locales/pt-BR.js";
+import "./locales/en-US.js";
+import "./themes/high-contrast.js";
+import "./themes/sepia.js";
+import "./themes/brand.js";
+
+export class PortfolioApp {
+  constructor({ errors = null } = {}) {
+    this.isLoaded = false;
+    this.errors = errors;
+    if (this.errors) {
+      this.errors.attach(this);
+    }
+    this.bus = new EventBus({ errors: this.errors });
+    this.i18n = null;
+    this.scheduler = null;
+    this.announcer = null;
+    this.toasts = null;
+    this.registry = null;
+
+    this.init();
+  }
+
+  init() {
+    // Wait for DOM to be fully loaded
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => this.onDOMLoaded());
+    } else {
+      this.onDOMLoaded();
+    }
+  }
+
+  onDOMLoaded() {
+    console.log("Portfolio app initializing...");
+
+    this.initServices();
+    this.registerComponents();
+
+    // Each component mounts in isolation, so a failure only disables
+    // that feature
+    this.registry.mountAll();
+
+    this.runIsolated("consent", () => this.initConsent());
+    this.runIsolated("accessibility", () => this.initAccessibility(), {
+      silent: true,
+    });
+    this.runIsolated("performance", () => this.initPerformanceOptimizations(), {
+      silent: true,
+    });
+    this.runIsolated("analytics", () => this.initAnalytics(), {
+      silent: true,
+    });
+
+    // Mark as loaded
+    this.isLoaded = true;
+    document.body.classList.add("app-loaded");
+
+    console.log("Portfolio app initialized successfully");
+  }
+
+  // Not isolated: the toasts, the accessibility panel and every component
+  // translate through i18n, so the app can't run without it
+  initServices() {
+    this.i18n = new I18nManager({ bus: this.bus });
+    this.scheduler = new ScrollScheduler();
+    this.announcer = new Announcer();
+    this.toasts = new ToastManager({
+      i18n: this.i18n,
+      announcer: this.announcer,
+    });
+
+    this.registry = new ComponentRegistry({
+      services: {
+        bus: this.bus,
+        i18n: this.i18n,
+        errors: this.errors,
+        scheduler: this.scheduler,
+        announcer: this.announcer,
+        app: this,
+      },
+      errors: this.errors,
+    });
+  }
+
+  // Mount order is registration order, adjusted for deps
+  registerComponents() {
+    this.registry
+      .register("theme", ThemeManager)
+      .register("accessibility", AccessibilityManager)
+      .register("navbar", NavbarComponent)
+      .register("scrollProgress", ScrollProgress, { silent: true })
+      .register("projects", ProjectsComponent, { deps: ["navbar"] })
+      .register("contactForm", ContactFormComponent)
+      .register("animations", AnimationManager, { deps: ["accessibility"] })
+      .register("router", Router)
+      .register("consent", ConsentManager, { deps: ["navbar"] })
+      .register("content", ContentLoader)
+      .register("print", PrintController)
+      .register("contactCard", ContactCard, { deps: ["content"] })
+      .register("skills", SkillsComponent, { deps: ["content"] })
+      .register("courses", CoursesComponent, { deps: ["content"] })
+      .register("timeline", TimelineComponent, { deps: ["content"] })
+      .register("analytics", AnalyticsManager, {
+        deps: ["consent"],
+        silent: true,
+      })
+      .register("vitals", VitalsCollector, { silent: true })
+      .register("pwa", ServiceWorkerManager, { silent: true });
+
+    // On-page overlay to check that animations aren't hurting CLS
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("debug") === "perf") {
+      this.registry.register("perfOverlay", PerfOverlay, {
+        deps: ["vitals"],
+        silent: true,
+      });
+    }
+  }
+
+  initConsent() {
+    const consent = this.getComponent("consent");
+    if (!consent) return;
+
+    // Until fonts are allowed, the system stack from reset.css is used
+    if (consent.has("fonts")) {
+      this.loadExternalFonts();
+    }
+
+    consent.onChange((choices) => {
+      if (choices.fonts) {
+        this.loadExternalFonts();
+      } else {
+        this.removeExternalFonts();
+      }
+    });
+  }
+
+  initAccessibility() {
+    // Skip link functionality
+    const skipLink = document.querySelector(".skip-link");
+    if (skipLink) {
+      skipLink.addEventListener("click", (e) => {
+        e.preventDefault();
+        const target = document.querySelector(skipLink.getAttribute("href"));
+        if (target) {
+          target.setAttribute("tabindex", "-1");
+          target.focus();
+          target.addEventListener(
+            "blur",
+            () => {
+              target.removeAttribute("tabindex");
+            },
+            { once: true }
+          );
+        }
+      });
+    }
+
+    // Improve focus visibility
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Tab") {
+        document.body.classList.add("keyboard-navigation");
+      }
+    });
+
+    document.addEventListener("mousedown", () => {
+      document.body.classList.remove("keyboard-navigation");
+    });
+
+    // Announce theme changes to screen readers (not the temporary switch
+    // to light while printing)
+    this.bus.on("themeChanged", ({ theme, source }) => {
+      if (source === "print") return;
+
+      this.announceToScreenReader(
+        this.i18n.t("theme.changed", {
+          theme: this.i18n.t(`theme.names.${theme}`),
+        })
+      );
+    });
+  }
+
+  initPerformanceOptimizations() {
+    // Lazy load images
+    if ("IntersectionObserver" in window) {
+      const imageObserver = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            const img = entry.target;
+            if (img.dataset.src) {
+              img.src = img.dataset.src;
+              img.removeAttribute("data-src");
+              imageObserver.unobserve(img);
+            }
+          }
+        });
+      });
+
+      document.querySelectorAll("img[data-src]").forEach((img) => {
+        imageObserver.observe(img);
+      });
+    }
+
+    // Preload critical resources
+    this.preloadCriticalResources();
+  }
+
+  preloadCriticalResources() {
+    // Preload hero image
+    const heroImg = document.querySelector(".hero__photo");
+    if (heroImg && heroImg.src) {
+      const link = document.createElement("link");
+      link.rel = "preload";
+      link.as = "image";
+      link.href = heroImg.src;
+      document.head.appendChild(link);
+    }
+  }
+
+  loadExternalFonts() {
+    if (document.querySelector('link[data-consent="fonts"]')) return;
+
+    const links = [
+      { rel: "preconnect", href: "https://fonts.googleapis.com" },
+      {
+        rel: "preconnect",
+        href: "https://fonts.gstatic.com",
+        crossOrigin: "anonymous",
+      },
+      {
+        rel: "preload",
+        as: "font",
+        type: "font/woff2",
+        crossOrigin: "anonymous",
+        href: "https://fonts.gstatic.com/s/inter/v12/UcCO3FwrK3iLTeHuS_fvQtMwCp50KnMw2boKoduKmMEVuLyfAZ9hiA.woff2",
+      },
+      {
+        rel: "stylesheet",
+        href: "https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap",
+      },
+    ];
+
+    links.forEach((attributes) => {
+      const link = document.createElement("link");
+      Object.assign(link, attributes);
+      link.dataset.consent = "fonts";
+      document.head.appendChild(link);
+    });
+  }
+
+  removeExternalFonts() {
+    document
+      .querySelectorAll('link[data-consent="fonts"]')
+      .forEach((link) => link.remove());
+  }
+
+  runIsolated(name, step, options) {
+    if (!this.errors) return step();
+    return this.errors.guard(name, step, options);
+  }
+
+  handleError(error, { module = "app", notify = false } = {}) {
+    if (!this.errors) {
+      console.error("Error handled by app:", error);
+      return;
+    }
+
+    this.errors.capture(error, { module });
+
+    if (notify) {
+      this.errors.notifyFailure(module);
+    }
+  }
+
+  initAnalytics() {
+    const analytics = this.getComponent("analytics");
+    if (!analytics) return;
+
+    // Drop anything still queued as soon as consent is withdrawn
+    const consent = this.getComponent("consent");
+    if (consent) {
+      consent.onChange((choices) => {
+        if (!choices.analytics) {
+          analytics.clearQueue();
+        }
+      });
+    }
+
+    this.trackPageView(analytics);
+    this.trackUserInteractions(analytics);
+  }
+
+  trackPageView(analytics) {
+    analytics.trackPageView();
+  }
+
+  trackUserInteractions(analytics) {
+    // Sections reported by the navbar's scroll observer
+    this.bus.on("sectionViewed", ({ section }) => {
+      analytics.trackSectionView(section);
+    });
+
+    // Outbound contact links (only the channel, never the address)
+    document.addEventListener("click", (e) => {
+      const link = e.target.closest(".contact-link[data-contact]");
+      if (link) {
+        analytics.trackContactClick(link.dataset.contact);
+      }
+    });
+
+    this.bus.on("projectOpened", ({ projectId, category }) => {
+      analytics.trackProjectOpen(projectId, category);
+    });
+
+    // Only count explicit toggles, not the initial or system theme
+    this.bus.on("themeChanged", ({ theme, source }) => {
+      if (source === "user") {
+        analytics.trackThemeToggle(theme);
+      }
+    });
+  }
+
+  // Utility methods
+  // priority "assertive" interrupts the screen reader; keep it for errors
+  announceToScreenReader(message, { priority = "polite" } = {}) {
+    this.announcer.announce(message, { priority });
+  }
+
+  // type: info | success | warning | error. options.duration in ms
+  // (0 keeps the notification until dismissed, defaults depend on type),
+  // options.action = { label, onClick } adds a button
+  showNotification(message, type = "info", options = {}) {
+    return this.toasts.show(message, type, options);
+  }
+
+  // Method to register components (see ComponentRegistry#register)
+  registerComponent(name, Component, options) {
+    this.registry.register(name, Component, options);
+    return this.registry.mount(name);
+  }
+
+  // Method to get mounted components
+  getComponent(name) {
+    return this.registry ? this.registry.get(name) : null;
+  }
+
+  // Method to check if app is loaded
+  isAppLoaded() {
+    return this.isLoaded;
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Contact Card Component
+ * "Salvar contato" downloads a vCard built from the page's JSON-LD Person,
+ * "QR code" shows the same vCard as a QR code for in-person events,
+ * "Agendar conversa" downloads a calendar event with that person, and
+ * the copy button next to each contact link puts its address on the
+ * clipboard. Everything waits for portfolio.json (contentLoaded).
+ */
+
+import { VCard } from "../modules/vcard.js";
+import { CalendarEvent } from "../modules/calendar-event.js";
+import { QRCode } from "../modules/qr-code.js";
+
+export class ContactCard {
+  constructor({ bus, i18n, app, listen, get }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.app = app;
+    this.listen = listen;
+    this.get = get;
+    this.downloadButton = document.querySelector(
+      '[data-contact-card="download"]'
+    );
+    this.qrButton = document.querySelector('[data-contact-card="qr"]');
+    this.eventButton = document.querySelector('[data-contact-card="event"]');
+    this.qrFigure = document.getElementById("contact-qr");
+    this.person = null;
+  }
+
+  mount() {
+    // Re-emitted on language changes, which localize the job title
+    this.listen(this.bus, "contentLoaded", ({ data }) => this.update(data));
+
+    const content = this.get("content");
+    if (content && content.getData()) {
+      this.update(content.getData());
+    }
+
+    if (this.downloadButton) {
+      this.listen(this.downloadButton, "click", () => this.download());
+    }
+
+    if (this.eventButton) {
+      this.listen(this.eventButton, "click", () => this.scheduleConversation());
+    }
+
+    if (this.qrButton && this.qrFigure) {
+      this.listen(this.qrButton, "click", () => this.toggleQrCode());
+    }
+
+    // The copy buttons are re-rendered with the contact links
+    const links = document.querySelector(".contact-links");
+    if (links) {
+      this.listen(links, "click", (e) => {
+        const button = e.target.closest("[data-copy]");
+        if (button) {
+          this.copy(button.dataset.copy);
+        }
+      });
+    }
+  }
+
+  update(data) {
+    const content = this.get("content");
+    if (!content) return;
+
+    this.person = content.buildStructuredData(data);
+
+    [this.downloadButton, this.qrButton, this.eventButton].forEach((button) => {
+      if (button) {
+        button.disabled = false;
+      }
+    });
+
+    if (this.qrFigure && !this.qrFigure.hidden) {
+      this.renderQrCode();
+    }
+  }
+
+  getVCard() {
+    return this.person ? VCard.fromPerson(this.person) : null;
+  }
+
+  download() {
+    const card = this.getVCard();
+    if (!card) return;
+
+    this.save(card.toBlob(), VCard.getFileName(this.person.name));
+  }
+
+  scheduleConversation() {
+    if (!this.person) return;
+
+    const event = CalendarEvent.conversationWith(this.person, {
+      summary: this.i18n.t("contactCard.eventSummary", {
+        name: this.person.name,
+      }),
+      description: this.i18n.t("contactCard.eventDescription", {
+        email: this.person.email || "",
+      }),
+    });
+
+    this.save(event.toBlob(), CalendarEvent.getFileName(this.person.name));
+  }
+
+  save(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  toggleQrCode() {
+    const open = this.qrFigure.hidden;
+
+    if (open) {
+      this.renderQrCode();
+    }
+
+    this.qrFigure.hidden = !open;
+    this.qrButton.setAttribute("aria-expanded", String(open));
+  }
+
+  renderQrCode() {
+    const card = this.getVCard();
+    const container = this.qrFigure.querySelector(".contact-card__qr-code");
+    if (!card || !container) return;
+
+    // M recovers from some damage and still fits a phone camera easily
+    container.replaceChildren(
+      QRCode.encode(card.toString(), { ecl: "M" }).toSvg()
+    );
+  }
+
+  async copy(value) {
+    try {
+      await this.writeClipboard(value);
+      this.app.showNotification(
+        this.i18n.t("contactCard.copied", { value }),
+        "success"
+      );
+    } catch (error) {
+      this.app.showNotification(
+        this.i18n.t("contactCard.copyFailed", { value }),
+        "error"
+      );
+    }
+  }
+
+  // The Clipboard API needs a secure context; fall back to a selection
+  async writeClipboard(value) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(value);
+      return;
+    }
+
+    const focused = document.activeElement;
+    const field = document.createElement("textarea");
+    field.value = value;
+    field.setAttribute("readonly", "");
+    field.className = "sr-only";
+    document.body.appendChild(field);
+    field.select();
+
+    const copied =
+      typeof document.execCommand === "function" &&
+      document.execCommand("copy");
+    field.remove();
+    if (focused) {
+      focused.focus();
+    }
+
+    if (!copied) {
+      throw new Error("Clipboard not available");
+    }
+  }
+}
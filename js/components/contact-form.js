@@ -0,0 +1,279 @@
+/**
+ * Contact Form Component
+ * Handles validation, spam protection, draft persistence and submission
+ * through a pluggable transport (see js/modules/contact-transports.js)
+ */
+
+import { createContactTransport } from "../modules/contact-transports.js";
+
+export class ContactFormComponent {
+  constructor({ bus, i18n, app, listen }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.app = app;
+    this.listen = listen;
+    this.form = document.querySelector(".contact-form");
+    this.draftKey = "contactDraft";
+    this.minSubmitDelay = 3000;
+    this.maxMessageLength = 1000;
+    // When the visitor started writing (first input or restored draft)
+    this.startedAt = null;
+    this.draftTimer = null;
+  }
+
+  mount() {
+    if (!this.form) return;
+
+    this.fields = {
+      name: this.form.elements.name,
+      email: this.form.elements.email,
+      message: this.form.elements.message,
+    };
+    this.honeypot = this.form.elements.website;
+    this.submitButton = this.form.querySelector('[type="submit"]');
+    this.counter = this.form.querySelector(".contact-form__counter");
+
+    this.transport = createContactTransport({
+      transport: this.form.dataset.transport,
+      endpoint: this.form.dataset.endpoint,
+      mailto: this.form.dataset.mailto,
+      i18n: this.i18n,
+    });
+
+    // We render our own accessible errors instead of the browser bubbles
+    this.form.noValidate = true;
+    this.fields.message.maxLength = this.maxMessageLength;
+
+    this.restoreDraft();
+    this.updateCounter();
+
+    this.listen(this.form, "submit", (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+
+    Object.values(this.fields).forEach((field) => {
+      this.listen(field, "blur", () => this.validateField(field));
+
+      this.listen(field, "input", () => {
+        if (this.startedAt === null) {
+          this.startedAt = Date.now();
+        }
+
+        // Clear the error as soon as the field becomes valid again
+        if (field.getAttribute("aria-invalid") === "true") {
+          this.validateField(field);
+        }
+        this.scheduleDraftSave();
+      });
+    });
+
+    this.listen(this.fields.message, "input", () => this.updateCounter());
+
+    this.listen(this.bus, "localeChanged", () => {
+      this.updateCounter();
+      Object.values(this.fields).forEach((field) => {
+        if (field.getAttribute("aria-invalid") === "true") {
+          this.validateField(field);
+        }
+      });
+    });
+  }
+
+  // Validation
+  getFieldError(field) {
+    const value = field.value.trim();
+
+    if (field.required && !value) {
+      return this.i18n.t(`contactForm.errors.${field.name}Required`);
+    }
+
+    if (
+      field.type === "email" &&
+      value &&
+      !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)
+    ) {
+      return this.i18n.t("contactForm.errors.emailInvalid");
+    }
+
+    if (field.name === "message" && value.length > this.maxMessageLength) {
+      return this.i18n.t("contactForm.errors.messageTooLong", {
+        max: this.maxMessageLength,
+      });
+    }
+
+    return "";
+  }
+
+  validateField(field) {
+    const error = this.getFieldError(field);
+    const errorElement = document.getElementById(`${field.id}-error`);
+
+    field.setAttribute("aria-invalid", error ? "true" : "false");
+
+    if (errorElement) {
+      errorElement.textContent = error;
+      errorElement.hidden = !error;
+    }
+
+    return !error;
+  }
+
+  validateForm() {
+    const invalidFields = Object.values(this.fields).filter(
+      (field) => !this.validateField(field)
+    );
+
+    if (invalidFields.length > 0) {
+      invalidFields[0].focus();
+      return false;
+    }
+
+    return true;
+  }
+
+  // Spam protection: bots fill the hidden field, or fill the fields
+  // without typing and submit instantly. The delay runs from the first
+  // input, so a page left open before writing doesn't count
+  isLikelySpam() {
+    const filledHoneypot = this.honeypot && this.honeypot.value !== "";
+    const tooFast =
+      this.startedAt === null ||
+      Date.now() - this.startedAt < this.minSubmitDelay;
+
+    return filledHoneypot || tooFast;
+  }
+
+  async handleSubmit() {
+    if (!this.validateForm()) return;
+
+    if (this.isLikelySpam()) {
+      // Pretend it worked so bots get no signal
+      this.notify("contactForm.sent", "success");
+      this.form.reset();
+      this.startedAt = null;
+      this.clearDraft();
+      this.updateCounter();
+      return;
+    }
+
+    const payload = {
+      name: this.fields.name.value.trim(),
+      email: this.fields.email.value.trim(),
+      message: this.fields.message.value.trim(),
+    };
+
+    this.setLoading(true);
+
+    try {
+      const result = await this.transport.send(payload);
+
+      if (result.status === "handoff") {
+        // The message still has to be sent from the mail client,
+        // so the draft is kept until then
+        this.notify("contactForm.handoff", "info");
+      } else {
+        this.notify("contactForm.sent", "success");
+        this.form.reset();
+        this.startedAt = null;
+        this.clearDraft();
+        this.updateCounter();
+      }
+    } catch (error) {
+      console.error("Contact form submission failed:", error);
+      this.saveDraft();
+      this.notify("contactForm.failed", "error");
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  setLoading(isLoading) {
+    if (!this.submitButton) return;
+
+    this.submitButton.disabled = isLoading;
+    this.submitButton.classList.toggle("btn--loading", isLoading);
+    this.form.setAttribute("aria-busy", isLoading.toString());
+  }
+
+  notify(key, type) {
+    this.app.showNotification(this.i18n.t(key), type);
+  }
+
+  updateCounter() {
+    if (!this.counter) return;
+
+    this.counter.textContent = this.i18n.t("contactForm.counter", {
+      count: this.fields.message.value.length,
+      max: this.maxMessageLength,
+    });
+  }
+
+  // Draft persistence
+  scheduleDraftSave() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = setTimeout(() => {
+      this.draftTimer = null;
+      this.saveDraft();
+    }, 500);
+  }
+
+  saveDraft() {
+    const draft = {
+      name: this.fields.name.value,
+      email: this.fields.email.value,
+      message: this.fields.message.value,
+    };
+
+    try {
+      if (Object.values(draft).some((value) => value.trim())) {
+        localStorage.setItem(
+          this.draftKey,
+          JSON.stringify({ ...draft, startedAt: this.startedAt })
+        );
+      } else {
+        localStorage.removeItem(this.draftKey);
+      }
+    } catch (error) {
+      console.warn("Could not store contact draft:", error);
+    }
+  }
+
+  restoreDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(this.draftKey));
+      if (!draft) return;
+
+      Object.entries(this.fields).forEach(([name, field]) => {
+        if (typeof draft[name] === "string") {
+          field.value = draft[name];
+        }
+      });
+
+      // The draft was written earlier, so restoring it counts as input;
+      // drafts saved before startedAt existed count as long ago
+      this.startedAt = Number(draft.startedAt) || 0;
+    } catch (error) {
+      console.warn("Could not restore contact draft:", error);
+    }
+  }
+
+  clearDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+
+    try {
+      localStorage.removeItem(this.draftKey);
+    } catch (error) {
+      console.warn("Could not clear contact draft:", error);
+    }
+  }
+
+  unmount() {
+    // Keep whatever was typed since the last autosave
+    if (this.draftTimer !== null) {
+      clearTimeout(this.draftTimer);
+      this.saveDraft();
+    }
+  }
+}
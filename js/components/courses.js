@@ -0,0 +1,276 @@
+/**
+ * Courses Component
+ * Shows the first page of courses (data-page-size on the list) and reveals
+ * the rest with "VER MAIS", sorts them by date or hours, totals the study
+ * hours and opens certificates in a lightbox. While collapsed the list
+ * carries data-collapsed, which PrintController expands for the résumé.
+ */
+
+const SORTS = ["date", "hours"];
+
+export class CoursesComponent {
+  constructor({ bus, i18n, app, listen, get }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.app = app;
+    this.listen = listen;
+    this.get = get;
+    this.list = document.querySelector(".courses");
+    this.toggleButton = document.querySelector(".courses__toggle");
+    this.total = document.querySelector(".courses__total");
+    this.sortSelect = document.getElementById("courses-sort");
+    this.dialog = document.getElementById("certificate-dialog");
+
+    this.courses = [];
+    this.sort = "date";
+    this.pageSize = this.list ? Number(this.list.dataset.pageSize) || 3 : 3;
+    this.visibleCount = this.pageSize;
+    this.lastFocused = null;
+    this.releaseFocusTrap = null;
+  }
+
+  mount() {
+    if (!this.list) return;
+
+    // Items are re-rendered from portfolio.json on every language change
+    this.listen(this.bus, "contentLoaded", ({ data }) => this.setContent(data));
+
+    const content = this.get("content");
+    if (content && content.getData()) {
+      this.setContent(content.getData());
+    }
+
+    // Links to a course further down the list (#curso-<id>, e.g. from the
+    // skills section) reveal it first
+    this.listen(this.bus, "routeChanged", ({ route }) =>
+      this.revealRoute(route)
+    );
+
+    if (this.toggleButton) {
+      this.listen(this.toggleButton, "click", () => this.toggle());
+    }
+
+    if (this.sortSelect) {
+      this.listen(this.sortSelect, "change", () =>
+        this.setSort(this.sortSelect.value)
+      );
+    }
+
+    this.listen(this.list, "click", (e) => {
+      const button = e.target.closest(".course-item__certificate");
+      if (button) {
+        this.openCertificate(button.closest(".course-item").dataset.course);
+      }
+    });
+
+    this.initDialog();
+  }
+
+  setContent(data) {
+    this.courses = data.courses || [];
+    this.updateTotal();
+    this.applySort();
+    this.update({ animate: false });
+  }
+
+  updateTotal() {
+    if (!this.total) return;
+
+    const hours = this.courses.reduce((sum, course) => sum + course.hours, 0);
+    this.total.textContent = this.i18n.t("courses.total", { count: hours });
+  }
+
+  setSort(sort) {
+    this.sort = SORTS.includes(sort) ? sort : "date";
+    if (this.sortSelect) {
+      this.sortSelect.value = this.sort;
+    }
+    this.applySort();
+    this.update({ animate: false });
+  }
+
+  // Newest first, or longest first with the newest breaking ties
+  applySort() {
+    const byDate = (a, b) => b.date.localeCompare(a.date);
+    const compare = {
+      date: byDate,
+      hours: (a, b) => b.hours - a.hours || byDate(a, b),
+    }[this.sort];
+
+    const items = Array.from(
+      this.list.querySelectorAll(".course-item"),
+      (item) => ({ item, ...this.getCourse(item.dataset.course) })
+    );
+
+    this.list.append(...items.sort(compare).map(({ item }) => item));
+  }
+
+  // "VER MAIS" reveals another page; once everything shows it collapses
+  toggle() {
+    const total = this.courses.length;
+    const count =
+      this.visibleCount >= total
+        ? this.pageSize
+        : this.visibleCount + this.pageSize;
+
+    this.setVisibleCount(count);
+
+    this.app.announceToScreenReader(
+      this.i18n.t("courses.showing", {
+        shown: Math.min(this.visibleCount, total),
+        total,
+      })
+    );
+  }
+
+  setVisibleCount(count, { animate = true } = {}) {
+    this.visibleCount = Math.max(count, this.pageSize);
+    this.update({ animate });
+  }
+
+  update({ animate = true } = {}) {
+    const from = this.list.offsetHeight;
+    const items = this.list.querySelectorAll(".course-item");
+    const expanded = this.visibleCount >= items.length;
+
+    // Courses past the visible count are hidden by CSS while collapsed
+    items.forEach((item, index) => {
+      item.toggleAttribute("data-course-overflow", index >= this.visibleCount);
+    });
+    this.list.toggleAttribute("data-collapsed", !expanded);
+
+    if (this.toggleButton) {
+      this.toggleButton.hidden = items.length <= this.pageSize;
+      this.toggleButton.setAttribute("aria-expanded", expanded.toString());
+
+      // Keep data-i18n in step so a language change keeps the right label
+      const label = this.toggleButton.querySelector("[data-i18n]");
+      label.dataset.i18n = expanded ? "courses.showLess" : "courses.showMore";
+      label.textContent = this.i18n.t(label.dataset.i18n);
+    }
+
+    const to = this.list.offsetHeight;
+    const animations = this.get("animations");
+    if (animate && animations && from !== to) {
+      animations.animate(
+        this.list,
+        [
+          { height: `${from}px`, overflow: "hidden" },
+          { height: `${to}px`, overflow: "hidden" },
+        ],
+        { duration: 400 }
+      );
+    }
+  }
+
+  revealRoute(route) {
+    if (!route || !route.section.startsWith("curso-")) return;
+
+    const item = document.getElementById(route.section);
+    if (!item || !item.hasAttribute("data-course-overflow")) return;
+
+    const index = Array.from(this.list.children).indexOf(item);
+    this.setVisibleCount(
+      Math.ceil((index + 1) / this.pageSize) * this.pageSize,
+      { animate: false }
+    );
+
+    // The Router scrolled before the course was visible
+    const router = this.get("router");
+    if (router) {
+      router.scrollToSection(route.section);
+    }
+  }
+
+  initDialog() {
+    if (!this.dialog) return;
+
+    this.listen(this.dialog, "click", (e) => {
+      if (e.target.closest("[data-dialog-close]")) {
+        this.closeCertificate();
+      }
+    });
+
+    this.listen(this.dialog, "keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        this.closeCertificate();
+      }
+    });
+  }
+
+  openCertificate(courseId) {
+    const course = this.getCourse(courseId);
+    if (!course || !course.certificate || !this.dialog) return;
+
+    this.fillDialog(course);
+    if (!this.dialog.hidden) return;
+
+    this.lastFocused = document.activeElement;
+    this.dialog.hidden = false;
+    document.body.classList.add("dialog-open");
+
+    const panel = this.dialog.querySelector(".project-dialog__panel");
+    const navbar = this.get("navbar");
+    if (navbar) {
+      this.releaseFocusTrap = navbar.trapFocus(panel);
+    }
+
+    const animations = this.get("animations");
+    if (animations) {
+      animations.animate(panel, "fade-up", { duration: 300 });
+    }
+  }
+
+  closeCertificate({ restoreFocus = true } = {}) {
+    if (!this.dialog || this.dialog.hidden) return;
+
+    this.dialog.hidden = true;
+    document.body.classList.remove("dialog-open");
+
+    if (this.releaseFocusTrap) {
+      this.releaseFocusTrap();
+      this.releaseFocusTrap = null;
+    }
+
+    if (this.lastFocused && restoreFocus) {
+      this.lastFocused.focus();
+    }
+    this.lastFocused = null;
+  }
+
+  fillDialog(course) {
+    const { image, url } = course.certificate;
+
+    this.dialog.querySelector(".project-dialog__title").textContent =
+      this.i18n.t("courses.certificateTitle", { course: course.title });
+
+    const img = this.dialog.querySelector(".certificate-dialog__image");
+    img.hidden = !image;
+    if (image) {
+      img.src = image;
+      img.alt =
+        this.i18n.localize(course.certificate.alt) ||
+        this.i18n.t("courses.certificateImage", { course: course.title });
+    } else {
+      img.removeAttribute("src");
+    }
+
+    const link = this.dialog.querySelector(".certificate-dialog__link");
+    link.hidden = !url;
+    if (url) {
+      link.href = url;
+    } else {
+      link.removeAttribute("href");
+    }
+  }
+
+  // Utility methods
+  getCourse(courseId) {
+    return this.courses.find((course) => course.id === courseId);
+  }
+
+  unmount() {
+    this.closeCertificate({ restoreFocus: false });
+  }
+}
@@ -3,30 +3,45 @@
  * Handles navigation behavior, scroll effects, and mobile menu
  */
 
-class NavbarComponent {
-    constructor() {
+export class NavbarComponent {
+    constructor({ bus, i18n, scheduler, signal, listen, get }) {
+        this.bus = bus;
+        this.i18n = i18n;
+        this.scheduler = scheduler;
+        this.signal = signal;
+        this.listen = listen;
+        this.get = get;
         this.header = document.querySelector('.header');
         this.navLinks = document.querySelectorAll('.nav__link');
         this.lastScrollY = window.scrollY;
         this.scrollThreshold = 100;
-        
-        this.init();
+        this.isMobileMenuOpen = false;
+        this.releaseFocusTrap = null;
+        this.sectionObserver = null;
     }
     
-    init() {
+    mount() {
         if (!this.header) return;
         
         this.initScrollEffects();
         this.initActiveNavigation();
         this.initKeyboardNavigation();
+        this.initMobileMenu();
+        
+        // Keep the active link in sync with back/forward navigation
+        this.listen(this.bus, 'routeChanged', ({ route }) => {
+            if (route.section) {
+                this.setActiveNavItem(route.section);
+            }
+            
+            // The router moves focus to the section, so don't pull it back
+            this.closeMobileMenu({ restoreFocus: false });
+        });
     }
     
     initScrollEffects() {
-        let ticking = false;
-        
-        const updateHeader = () => {
-            const currentScrollY = window.scrollY;
-            
+        // Runs in the shared scroll scheduler's animation frame
+        const updateHeader = ({ scrollY: currentScrollY }) => {
             // Add/remove scrolled class for styling
             if (currentScrollY > 50) {
                 this.header.classList.add('scrolled');
@@ -46,20 +61,10 @@ class NavbarComponent {
             }
             
             this.lastScrollY = currentScrollY;
-            ticking = false;
-        };
-        
-        const requestTick = () => {
-            if (!ticking) {
-                requestAnimationFrame(updateHeader);
-                ticking = true;
-            }
         };
         
-        window.addEventListener('scroll', requestTick, { passive: true });
-        
-        // Initial call
-        updateHeader();
+        // The first frame also sets the initial state
+        this.addScrollBehavior(updateHeader);
     }
     
     initActiveNavigation() {
@@ -73,7 +78,7 @@ class NavbarComponent {
             rootMargin: '-100px 0px -50% 0px'
         };
         
-        const observer = new IntersectionObserver((entries) => {
+        this.sectionObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 const navLink = document.querySelector(`.nav__link[href="#${entry.target.id}"]`);
                 
@@ -85,19 +90,22 @@ class NavbarComponent {
                     if (navLink) {
                         navLink.classList.add('active');
                     }
+
+                    // Let other modules (analytics) know what is being read
+                    this.bus.emit('sectionViewed', { section: entry.target.id });
                 }
             });
         }, observerOptions);
         
         sections.forEach(section => {
-            observer.observe(section);
+            this.sectionObserver.observe(section);
         });
     }
     
     initKeyboardNavigation() {
         // Handle keyboard navigation for nav links
         this.navLinks.forEach((link, index) => {
-            link.addEventListener('keydown', (e) => {
+            this.listen(link, 'keydown', (e) => {
                 switch (e.key) {
                     case 'ArrowRight':
                     case 'ArrowDown':
@@ -129,7 +137,11 @@ class NavbarComponent {
     
     // Method to highlight a specific nav item
     setActiveNavItem(sectionId) {
-        this.navLinks.forEach(link => {
+        const mobileLinks = this.mobileMenu
+            ? Array.from(this.mobileMenu.querySelectorAll('.mobile-menu__link'))
+            : [];
+        
+        [...this.navLinks, ...mobileLinks].forEach(link => {
             link.classList.remove('active');
             if (link.getAttribute('href') === `#${sectionId}`) {
                 link.classList.add('active');
@@ -137,75 +149,169 @@ class NavbarComponent {
         });
     }
     
-    // Method to scroll to a section
+    // Method to scroll to a section (the router owns the URL)
     scrollToSection(sectionId) {
-        const section = document.getElementById(sectionId);
-        if (!section) return;
-        
-        const headerHeight = this.header.offsetHeight;
-        const targetPosition = section.offsetTop - headerHeight - 20;
-        
-        window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-        });
-        
-        // Update active nav item
-        this.setActiveNavItem(sectionId);
-        
-        // Update URL
-        history.pushState(null, null, `#${sectionId}`);
+        const router = this.get('router');
+        if (router) {
+            router.navigate(sectionId);
+        }
     }
     
-    // Mobile menu functionality (for future enhancement)
+    // Mobile menu: an off-canvas panel generated from the desktop nav list
     initMobileMenu() {
-        const mobileToggle = document.querySelector('.mobile-menu-toggle');
-        const mobileMenu = document.querySelector('.mobile-menu');
+        const navList = this.header.querySelector('.nav__list');
+        const actions = this.header.querySelector('.header__actions');
         
-        if (!mobileToggle || !mobileMenu) return;
+        if (!navList || !actions) return;
         
-        let isOpen = false;
+        this.buildMobileMenu(navList);
+        actions.appendChild(this.mobileToggle);
         
-        const toggleMenu = () => {
-            isOpen = !isOpen;
-            
-            mobileMenu.classList.toggle('open', isOpen);
-            mobileToggle.setAttribute('aria-expanded', isOpen.toString());
-            
-            // Trap focus in mobile menu when open
-            if (isOpen) {
-                this.trapFocus(mobileMenu);
+        // Fixed panels inside the header would be clipped by its backdrop-filter
+        document.body.appendChild(this.mobileMenu);
+        
+        this.listen(this.mobileToggle, 'click', () => {
+            if (this.isMobileMenuOpen) {
+                this.closeMobileMenu();
             } else {
-                this.releaseFocus();
+                this.openMobileMenu();
             }
-        };
+        });
+        
+        this.listen(
+            this.mobileMenu.querySelector('.mobile-menu__close'),
+            'click',
+            () => this.closeMobileMenu()
+        );
         
-        mobileToggle.addEventListener('click', toggleMenu);
+        // Picking a section closes the menu; the router handles the scroll
+        this.listen(this.mobilePanel, 'click', (e) => {
+            if (e.target.closest('.mobile-menu__link')) {
+                this.closeMobileMenu({ restoreFocus: false });
+            }
+        });
         
         // Close menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (isOpen && !mobileMenu.contains(e.target) && !mobileToggle.contains(e.target)) {
-                toggleMenu();
+        this.listen(document, 'click', (e) => {
+            if (
+                this.isMobileMenuOpen &&
+                !this.mobilePanel.contains(e.target) &&
+                !this.mobileToggle.contains(e.target)
+            ) {
+                this.closeMobileMenu();
             }
         });
         
         // Close menu on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && isOpen) {
-                toggleMenu();
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.isMobileMenuOpen) {
+                this.closeMobileMenu();
             }
         });
+        
+        // The desktop nav takes over on wide screens
+        const desktopQuery = window.matchMedia('(min-width: 768px)');
+        this.listen(desktopQuery, 'change', (e) => {
+            if (e.matches) {
+                this.closeMobileMenu({ restoreFocus: false });
+            }
+        });
+        
+        this.listen(this.bus, 'localeChanged', () => this.updateMobileToggleLabel());
+        this.updateMobileToggleLabel();
     }
     
-    trapFocus(element) {
-        const focusableElements = element.querySelectorAll(
-            'a[href], button, textarea, input[type="text"], input[type="radio"], input[type="checkbox"], select'
+    buildMobileMenu(navList) {
+        this.mobileToggle = document.createElement('button');
+        this.mobileToggle.type = 'button';
+        this.mobileToggle.className = 'mobile-menu-toggle';
+        this.mobileToggle.setAttribute('aria-expanded', 'false');
+        this.mobileToggle.setAttribute('aria-controls', 'mobile-menu');
+        this.mobileToggle.innerHTML = `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                <line x1="3" y1="6" x2="21" y2="6"></line>
+                <line x1="3" y1="12" x2="21" y2="12"></line>
+                <line x1="3" y1="18" x2="21" y2="18"></line>
+            </svg>`;
+        
+        this.mobileMenu = document.createElement('div');
+        this.mobileMenu.id = 'mobile-menu';
+        this.mobileMenu.className = 'mobile-menu';
+        this.mobileMenu.innerHTML = `
+            <div class="mobile-menu__backdrop"></div>
+            <nav class="mobile-menu__panel" data-i18n-attr="aria-label:a11y.mainNav">
+                <button type="button" class="mobile-menu__close" data-i18n-attr="aria-label:nav.closeMenu">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </nav>`;
+        
+        this.mobilePanel = this.mobileMenu.querySelector('.mobile-menu__panel');
+        
+        const list = navList.cloneNode(true);
+        list.className = 'mobile-menu__list';
+        list.querySelectorAll('.nav__item').forEach(item => {
+            item.className = 'mobile-menu__item';
+        });
+        list.querySelectorAll('.nav__link').forEach(link => {
+            link.className = 'mobile-menu__link';
+        });
+        this.mobilePanel.appendChild(list);
+        
+        this.i18n.translatePage(this.mobileMenu);
+    }
+    
+    openMobileMenu() {
+        if (this.isMobileMenuOpen) return;
+        
+        this.isMobileMenuOpen = true;
+        this.mobileMenu.classList.add('open');
+        this.mobileToggle.setAttribute('aria-expanded', 'true');
+        this.updateMobileToggleLabel();
+        
+        // Lock page scroll behind the panel
+        document.body.classList.add('menu-open');
+        
+        // Trap focus in mobile menu when open
+        this.releaseFocusTrap = this.trapFocus(this.mobilePanel);
+    }
+    
+    closeMobileMenu({ restoreFocus = true } = {}) {
+        if (!this.isMobileMenuOpen) return;
+        
+        this.isMobileMenuOpen = false;
+        this.mobileMenu.classList.remove('open');
+        this.mobileToggle.setAttribute('aria-expanded', 'false');
+        this.updateMobileToggleLabel();
+        
+        document.body.classList.remove('menu-open');
+        this.releaseFocus();
+        
+        if (restoreFocus) {
+            this.mobileToggle.focus();
+        }
+    }
+    
+    updateMobileToggleLabel() {
+        if (!this.mobileToggle) return;
+        
+        this.mobileToggle.setAttribute(
+            'aria-label',
+            this.i18n.t(this.isMobileMenuOpen ? 'nav.closeMenu' : 'nav.openMenu')
         );
+    }
+    
+    trapFocus(element) {
+        const focusableElements = Array.from(element.querySelectorAll(
+            'a[href], button, textarea, input[type="text"], input[type="search"], input[type="email"], input[type="radio"], input[type="checkbox"], select'
+        )).filter(el => !el.disabled && !el.closest('[hidden]'));
         
         const firstFocusable = focusableElements[0];
         const lastFocusable = focusableElements[focusableElements.length - 1];
         
-        element.addEventListener('keydown', (e) => {
+        const handleKeydown = (e) => {
             if (e.key === 'Tab') {
                 if (e.shiftKey) {
                     if (document.activeElement === firstFocusable) {
@@ -219,37 +325,49 @@ class NavbarComponent {
                     }
                 }
             }
-        });
+        };
+        
+        element.addEventListener('keydown', handleKeydown);
         
-        firstFocusable.focus();
+        if (firstFocusable) {
+            firstFocusable.focus();
+        }
+        
+        // Callers release the trap through the returned function
+        return () => element.removeEventListener('keydown', handleKeydown);
     }
     
     releaseFocus() {
-        // Remove focus trap
-        const mobileMenu = document.querySelector('.mobile-menu');
-        if (mobileMenu) {
-            mobileMenu.removeEventListener('keydown', this.trapFocus);
+        // Remove the focus trap installed by openMobileMenu
+        if (this.releaseFocusTrap) {
+            this.releaseFocusTrap();
+            this.releaseFocusTrap = null;
         }
     }
     
-    // Method to add custom scroll behavior
+    // Method to add custom scroll behavior through the shared scheduler.
+    // callback receives { scrollY, progress, ... }; returns an unsubscribe
+    // and is removed on unmount
     addScrollBehavior(callback) {
-        window.addEventListener('scroll', callback, { passive: true });
+        return this.scheduler.subscribe(callback, { signal: this.signal });
     }
     
-    // Cleanup method
-    destroy() {
-        // Remove event listeners if needed
-        window.removeEventListener('scroll', this.updateHeader);
+    // Listeners and scroll subscriptions go with the signal; this undoes
+    // the rest of mount()
+    unmount() {
+        if (!this.header) return;
+        
+        this.closeMobileMenu({ restoreFocus: false });
+        
+        if (this.sectionObserver) {
+            this.sectionObserver.disconnect();
+        }
+        
+        if (this.mobileMenu) {
+            this.mobileMenu.remove();
+            this.mobileToggle.remove();
+        }
+        
+        this.header.style.transform = '';
     }
 }
-
-// Auto-initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.navbarComponent = new NavbarComponent();
-});
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = NavbarComponent;
-}
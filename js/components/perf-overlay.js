@@ -0,0 +1,84 @@
+/**
+ * Performance Overlay Component
+ * Debug panel enabled with ?debug=perf. Shows live Web Vitals from
+ * VitalsCollector and the latest layout shifts with their source element.
+ * Developer-only, so its labels are not translated.
+ */
+
+export class PerfOverlay {
+  constructor({ get }) {
+    this.collector = get("vitals");
+    this.panel = null;
+    this.unsubscribe = null;
+  }
+
+  mount() {
+    this.panel = document.createElement("aside");
+    this.panel.className = "perf-overlay";
+    this.panel.setAttribute("aria-label", "Web Vitals debug overlay");
+    document.body.appendChild(this.panel);
+
+    this.render(this.collector.getMetrics());
+    this.unsubscribe = this.collector.onUpdate((metrics) =>
+      this.render(metrics)
+    );
+  }
+
+  render(metrics) {
+    const rows = PerfOverlay.METRICS.map((name) => {
+      const metric = metrics[name];
+      if (!metric) {
+        return `<tr><th>${name}</th><td colspan="2">…</td></tr>`;
+      }
+
+      const unit = name === "CLS" ? "" : " ms";
+      const { element = "", section = "" } = metric.attribution;
+
+      return `
+        <tr class="perf-overlay__row--${metric.rating}">
+          <th>${name}</th>
+          <td>${metric.value}${unit}</td>
+          <td>${this.escape([section, element].filter(Boolean).join(" "))}</td>
+        </tr>`;
+    }).join("");
+
+    const shifts = this.collector
+      .getLayoutShifts()
+      .slice(-5)
+      .reverse()
+      .map(
+        (shift) =>
+          `<li>${shift.value.toFixed(4)} · ${Math.round(shift.startTime)} ms · ${
+            this.escape(
+              [shift.section, shift.element].filter(Boolean).join(" ")
+            ) || "?"
+          }</li>`
+      )
+      .join("");
+
+    this.panel.innerHTML = `
+      <strong class="perf-overlay__title">Web Vitals</strong>
+      <table class="perf-overlay__table">${rows}</table>
+      <strong class="perf-overlay__title">Layout shifts</strong>
+      <ol class="perf-overlay__shifts">${shifts || "<li>none</li>"}</ol>`;
+  }
+
+  escape(text) {
+    return String(text).replace(
+      /[&<>"]/g,
+      (char) =>
+        ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[char])
+    );
+  }
+
+  unmount() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+    if (this.panel) {
+      this.panel.remove();
+    }
+  }
+}
+
+PerfOverlay.METRICS = ["LCP", "CLS", "INP", "FCP", "TTFB"];
@@ -0,0 +1,354 @@
+/**
+ * Projects Component
+ * Handles category filtering, search and the project details dialog
+ */
+
+export class ProjectsComponent {
+  constructor({ bus, i18n, app, listen, get }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.app = app;
+    this.listen = listen;
+    this.get = get;
+    this.grid = document.querySelector(".projects__grid");
+    this.filtersContainer = document.querySelector(".projects__filters");
+    this.searchInput = document.getElementById("projects-search");
+    this.emptyState = document.querySelector(".projects__empty");
+    this.dialog = document.getElementById("project-dialog");
+
+    this.projects = [];
+    this.categories = {};
+    this.activeCategory = "all";
+    this.searchTerm = "";
+    this.lastFocused = null;
+    this.releaseFocusTrap = null;
+    this.openedFromPage = false;
+  }
+
+  mount() {
+    if (!this.grid) return;
+
+    // Cards are rendered from portfolio.json, so wait for them
+    this.listen(this.bus, "contentLoaded", ({ data }) => this.setContent(data));
+
+    // Remounted after the content was already rendered
+    const content = this.get("content");
+    if (content && content.getData()) {
+      this.setContent(content.getData());
+    }
+
+    // Filters and the open project live in the URL (#projetos/<id>?categoria=)
+    this.listen(this.bus, "routeChanged", ({ route }) => {
+      if (this.projects.length > 0) {
+        this.handleRoute(route);
+      }
+    });
+
+    if (this.searchInput) {
+      this.listen(this.searchInput, "input", () => {
+        this.searchTerm = this.searchInput.value.trim();
+        this.applyFilters();
+        this.updateRoute();
+      });
+    }
+
+    this.listen(this.grid, "click", (e) => {
+      const button = e.target.closest(".project-card__open");
+      if (!button) return;
+
+      const card = button.closest(".project-card");
+      this.openedFromPage = true;
+      this.updateRoute({ projectId: card.dataset.project, replace: false });
+    });
+
+    this.initDialog();
+  }
+
+  setContent(data) {
+    this.projects = data.projects || [];
+    this.categories = data.projectCategories || {};
+    this.renderFilters();
+    this.handleRoute(this.getRoute(), { animate: false });
+  }
+
+  renderFilters() {
+    if (!this.filtersContainer) return;
+
+    // Build one chip per category badge present in the grid
+    const chips = new Map([["all", this.i18n.t("projects.all")]]);
+    this.grid.querySelectorAll(".project-card").forEach((card) => {
+      const badge = card.querySelector(".project-card__badge");
+      if (!chips.has(card.dataset.category)) {
+        chips.set(card.dataset.category, badge.textContent.trim());
+      }
+    });
+
+    if (!chips.has(this.activeCategory)) {
+      this.activeCategory = "all";
+    }
+
+    this.filtersContainer.replaceChildren(
+      ...Array.from(chips, ([category, label]) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "projects__filter";
+        chip.dataset.category = category;
+        chip.textContent = label;
+        chip.setAttribute(
+          "aria-pressed",
+          (category === this.activeCategory).toString()
+        );
+        this.listen(chip, "click", () => this.setCategory(category));
+        return chip;
+      })
+    );
+  }
+
+  setCategory(category) {
+    this.setActiveChip(category);
+    this.applyFilters();
+    this.updateRoute();
+  }
+
+  setActiveChip(category) {
+    this.activeCategory = category;
+    if (!this.filtersContainer) return;
+
+    this.filtersContainer
+      .querySelectorAll(".projects__filter")
+      .forEach((chip) => {
+        chip.setAttribute(
+          "aria-pressed",
+          (chip.dataset.category === category).toString()
+        );
+      });
+  }
+
+  handleRoute(route, { animate = true } = {}) {
+    if (!route || route.section !== "projetos") {
+      this.closeProject({ restoreFocus: false });
+      return;
+    }
+
+    const category = route.query.categoria || "all";
+    const searchTerm = route.query.busca || "";
+
+    if (category !== this.activeCategory || searchTerm !== this.searchTerm) {
+      this.searchTerm = searchTerm;
+      if (this.searchInput && this.searchInput.value.trim() !== searchTerm) {
+        this.searchInput.value = searchTerm;
+      }
+      this.setActiveChip(category);
+      this.applyFilters({ animate });
+    } else if (!animate) {
+      this.applyFilters({ animate });
+    }
+
+    const [projectId] = route.params;
+    if (projectId && this.getProject(projectId)) {
+      this.openProject(projectId);
+    } else {
+      this.closeProject();
+    }
+  }
+
+  applyFilters({ animate = true } = {}) {
+    const term = this.normalize(this.searchTerm);
+    let visibleCount = 0;
+
+    this.grid.querySelectorAll(".project-card").forEach((card) => {
+      const project = this.getProject(card.dataset.project);
+      const matchesCategory =
+        this.activeCategory === "all" ||
+        card.dataset.category === this.activeCategory;
+      const matchesSearch =
+        !term ||
+        this.normalize(
+          `${project.title} ${this.i18n.localize(project.description)}`
+        ).includes(term);
+      const isVisible = matchesCategory && matchesSearch;
+      const wasHidden = card.hidden;
+
+      card.hidden = !isVisible;
+
+      if (isVisible) {
+        visibleCount++;
+
+        const animations = this.get("animations");
+        if (animate && wasHidden && animations) {
+          animations.replay(card, { duration: 400 });
+        }
+      }
+    });
+
+    if (this.emptyState) {
+      this.emptyState.hidden = visibleCount > 0;
+    }
+
+    if (animate) {
+      this.app.announceToScreenReader(
+        this.i18n.t("projects.found", { count: visibleCount })
+      );
+    }
+  }
+
+  // Filter state is kept in the URL so a filtered view can be shared
+  updateRoute({ projectId = null, replace = true } = {}) {
+    const router = this.get("router");
+    if (!router) return;
+
+    const hash = router.buildHash("projetos", projectId ? [projectId] : [], {
+      categoria: this.activeCategory === "all" ? "" : this.activeCategory,
+      busca: this.searchTerm,
+    });
+
+    router.navigate(hash, { replace, scroll: false });
+  }
+
+  getRoute() {
+    const router = this.get("router");
+    return router ? router.getCurrentRoute() : null;
+  }
+
+  initDialog() {
+    if (!this.dialog) return;
+
+    this.listen(this.dialog, "click", (e) => {
+      if (e.target.closest("[data-dialog-close]")) {
+        this.dismissProject();
+      }
+    });
+
+    this.listen(this.dialog, "keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        this.dismissProject();
+      }
+    });
+  }
+
+  // Closing goes through the router so the URL drops the project id
+  dismissProject() {
+    if (this.openedFromPage) {
+      // Step back to the entry pushed when the project was opened
+      history.back();
+    } else {
+      this.updateRoute();
+    }
+  }
+
+  openProject(projectId) {
+    const project = this.getProject(projectId);
+    if (!project || !this.dialog) return;
+
+    this.fillDialog(project);
+    if (!this.dialog.hidden) return;
+
+    this.lastFocused = document.activeElement;
+    this.dialog.hidden = false;
+    document.body.classList.add("dialog-open");
+
+    const panel = this.dialog.querySelector(".project-dialog__panel");
+    const navbar = this.get("navbar");
+    if (navbar) {
+      this.releaseFocusTrap = navbar.trapFocus(panel);
+    }
+
+    const animations = this.get("animations");
+    if (animations) {
+      animations.animate(panel, "fade-up", { duration: 300 });
+    }
+
+    // Notify other components
+    this.bus.emit("projectOpened", {
+      projectId,
+      category: project.category,
+    });
+  }
+
+  closeProject({ restoreFocus = true } = {}) {
+    if (!this.dialog || this.dialog.hidden) return;
+
+    this.openedFromPage = false;
+
+    this.dialog.hidden = true;
+    document.body.classList.remove("dialog-open");
+
+    if (this.releaseFocusTrap) {
+      this.releaseFocusTrap();
+      this.releaseFocusTrap = null;
+    }
+
+    if (this.lastFocused && restoreFocus) {
+      this.lastFocused.focus();
+    }
+    this.lastFocused = null;
+  }
+
+  fillDialog(project) {
+    const badge = this.dialog.querySelector(".project-dialog__badge");
+    badge.textContent =
+      this.i18n.localize(this.categories[project.category]) || project.category;
+    badge.classList.toggle(
+      "project-card__badge--development",
+      project.category === "development"
+    );
+
+    this.dialog.querySelector(".project-dialog__title").textContent =
+      project.title;
+    this.dialog.querySelector(".project-dialog__description").textContent =
+      this.i18n.localize(project.details || project.description);
+
+    const screenshots = this.dialog.querySelector(
+      ".project-dialog__screenshots"
+    );
+    screenshots.replaceChildren(
+      ...(project.screenshots || []).map((screenshot) => {
+        const img = document.createElement("img");
+        img.src = screenshot.src;
+        img.alt = this.i18n.localize(screenshot.alt) || "";
+        img.loading = "lazy";
+        img.className = "project-dialog__screenshot";
+        return img;
+      })
+    );
+    screenshots.hidden = screenshots.children.length === 0;
+
+    const stack = this.dialog.querySelector(".project-dialog__stack");
+    stack.replaceChildren(
+      ...(project.stack || []).map((technology) => {
+        const item = document.createElement("li");
+        item.className = "project-dialog__tech";
+        item.textContent = technology;
+        return item;
+      })
+    );
+
+    this.dialog.querySelectorAll("[data-project-link]").forEach((link) => {
+      const href = project[link.dataset.projectLink];
+      link.hidden = !href;
+      if (href) {
+        link.href = href;
+      } else {
+        link.removeAttribute("href");
+      }
+    });
+  }
+
+  // Utility methods
+  getProject(projectId) {
+    return this.projects.find((project) => project.id === projectId);
+  }
+
+  normalize(text) {
+    // Accent-insensitive matching ("programacao" finds "Programação")
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  unmount() {
+    this.closeProject({ restoreFocus: false });
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Scroll Progress Component
+ * Reading progress bar at the bottom of the header. Browsers with CSS
+ * scroll-driven animations animate it in css/components/navbar.css; the
+ * others get --scroll-progress from the shared scroll scheduler.
+ */
+
+import { ScrollScheduler } from "../modules/scroll-scheduler.js";
+
+export class ScrollProgress {
+  constructor({ scheduler, signal }) {
+    this.scheduler = scheduler;
+    this.signal = signal;
+    this.bar = document.querySelector(".scroll-progress");
+  }
+
+  mount() {
+    if (!this.bar || ScrollScheduler.supportsScrollTimeline()) return;
+
+    this.scheduler.subscribe(
+      ({ progress }) => {
+        this.bar.style.setProperty("--scroll-progress", progress.toFixed(4));
+      },
+      { signal: this.signal }
+    );
+  }
+
+  unmount() {
+    if (this.bar) {
+      this.bar.style.removeProperty("--scroll-progress");
+    }
+  }
+}
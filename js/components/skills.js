@@ -0,0 +1,406 @@
+/**
+ * Skills Component
+ * Filters the skill badges by category and level, sorts them, and links
+ * each skill to its evidence: selecting "JavaScript" highlights the
+ * projects whose stack lists it and the courses tagged with it, and lists
+ * them below the badges. Badges are rendered by ContentLoader.
+ */
+
+const SORTS = ["default", "name", "level"];
+
+export class SkillsComponent {
+  constructor({ bus, i18n, app, listen, get }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.app = app;
+    this.listen = listen;
+    this.get = get;
+    this.container = document.querySelector(".skills");
+    this.categoryFilters = document.querySelector(
+      '[data-skills-filter="category"]'
+    );
+    this.levelFilters = document.querySelector('[data-skills-filter="level"]');
+    this.sortSelect = document.getElementById("skills-sort");
+    this.emptyState = document.querySelector(".skills__empty");
+    this.evidence = document.getElementById("skills-evidence");
+
+    this.data = null;
+    this.activeCategory = "all";
+    this.activeLevel = "all";
+    this.sort = "default";
+    this.selectedSkill = null;
+  }
+
+  mount() {
+    if (!this.container) return;
+
+    // Badges are re-rendered from portfolio.json on every language change
+    this.listen(this.bus, "contentLoaded", ({ data }) => this.setContent(data));
+
+    const content = this.get("content");
+    if (content && content.getData()) {
+      this.setContent(content.getData());
+    }
+
+    if (this.sortSelect) {
+      this.listen(this.sortSelect, "change", () =>
+        this.setSort(this.sortSelect.value)
+      );
+    }
+
+    this.listen(this.container, "click", (e) => {
+      const button = e.target.closest(".skill-badge__name");
+      if (button) {
+        this.toggleSkill(button.closest(".skill-badge").dataset.skill);
+      }
+    });
+  }
+
+  setContent(data) {
+    this.data = data;
+    this.renderFilters();
+    this.applyFilters({ announce: false });
+    this.applySort();
+
+    // Keep the selection across re-renders, in the new language
+    const selected = this.selectedSkill;
+    this.selectedSkill = null;
+    if (selected && this.getSkill(selected)) {
+      this.selectSkill(selected, { announce: false });
+    } else {
+      this.clearSelection();
+    }
+  }
+
+  renderFilters() {
+    const categories = new Map([
+      ["all", this.i18n.t("skills.allCategories")],
+      ...this.data.skills.map((group) => [
+        group.id,
+        this.i18n.localize(group.category),
+      ]),
+    ]);
+
+    // Only the bands some skill actually reaches, strongest first
+    const present = new Set(
+      Array.from(
+        this.container.querySelectorAll(".skill-badge"),
+        (badge) => badge.dataset.level
+      )
+    );
+    const levels = new Map([
+      ["all", this.i18n.t("skills.allLevels")],
+      ...Object.entries(this.data.skillLevels)
+        .filter(([id]) => present.has(id))
+        .sort(([, a], [, b]) => b.min - a.min)
+        .map(([id, band]) => [id, this.i18n.localize(band.label)]),
+    ]);
+
+    if (!categories.has(this.activeCategory)) {
+      this.activeCategory = "all";
+    }
+    if (!levels.has(this.activeLevel)) {
+      this.activeLevel = "all";
+    }
+
+    this.renderChips(
+      this.categoryFilters,
+      categories,
+      this.activeCategory,
+      (id) => this.setCategory(id)
+    );
+    this.renderChips(this.levelFilters, levels, this.activeLevel, (id) =>
+      this.setLevel(id)
+    );
+  }
+
+  renderChips(container, chips, active, onSelect) {
+    if (!container) return;
+
+    container.replaceChildren(
+      ...Array.from(chips, ([id, label]) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "skills__filter";
+        chip.dataset.filter = id;
+        chip.textContent = label;
+        chip.setAttribute("aria-pressed", (id === active).toString());
+        this.listen(chip, "click", () => onSelect(id));
+        return chip;
+      })
+    );
+  }
+
+  setCategory(category) {
+    this.activeCategory = category;
+    this.setPressed(this.categoryFilters, category);
+    this.applyFilters();
+  }
+
+  setLevel(level) {
+    this.activeLevel = level;
+    this.setPressed(this.levelFilters, level);
+    this.applyFilters();
+  }
+
+  setPressed(container, active) {
+    if (!container) return;
+
+    container.querySelectorAll(".skills__filter").forEach((chip) => {
+      chip.setAttribute(
+        "aria-pressed",
+        (chip.dataset.filter === active).toString()
+      );
+    });
+  }
+
+  applyFilters({ announce = true } = {}) {
+    let visibleCount = 0;
+
+    this.container.querySelectorAll(".skills__category").forEach((group) => {
+      const matchesCategory =
+        this.activeCategory === "all" ||
+        group.dataset.category === this.activeCategory;
+      let groupCount = 0;
+
+      group.querySelectorAll(".skill-badge").forEach((badge) => {
+        const isVisible =
+          matchesCategory &&
+          (this.activeLevel === "all" ||
+            badge.dataset.level === this.activeLevel);
+
+        badge.hidden = !isVisible;
+        if (isVisible) {
+          groupCount++;
+        }
+      });
+
+      // Drop the heading of a category with nothing left to show
+      group.hidden = groupCount === 0;
+      visibleCount += groupCount;
+    });
+
+    if (this.emptyState) {
+      this.emptyState.hidden = visibleCount > 0;
+    }
+
+    if (announce) {
+      this.app.announceToScreenReader(
+        this.i18n.t("skills.found", { count: visibleCount })
+      );
+    }
+  }
+
+  setSort(sort) {
+    this.sort = SORTS.includes(sort) ? sort : "default";
+    if (this.sortSelect) {
+      this.sortSelect.value = this.sort;
+    }
+    this.applySort();
+  }
+
+  // Reorders the badges inside each category; the categories keep their order
+  applySort() {
+    const order = this.data.skills.flatMap((group) =>
+      group.items.map((skill) => skill.id)
+    );
+    const compare = {
+      default: (a, b) => order.indexOf(a.skill) - order.indexOf(b.skill),
+      name: (a, b) =>
+        a.name.localeCompare(b.name, this.i18n.getCurrentLocale(), {
+          sensitivity: "base",
+        }),
+      level: (a, b) => b.value - a.value || compare.default(a, b),
+    }[this.sort];
+
+    this.container.querySelectorAll(".skills__grid").forEach((grid) => {
+      const badges = Array.from(
+        grid.querySelectorAll(".skill-badge"),
+        (badge) => ({
+          badge,
+          skill: badge.dataset.skill,
+          name: badge.querySelector(".skill-badge__name").textContent,
+          value: Number(badge.dataset.value),
+        })
+      );
+
+      grid.append(...badges.sort(compare).map(({ badge }) => badge));
+    });
+  }
+
+  toggleSkill(skillId) {
+    if (this.selectedSkill === skillId) {
+      this.clearSelection();
+    } else {
+      this.selectSkill(skillId);
+    }
+  }
+
+  selectSkill(skillId, { announce = true } = {}) {
+    const skill = this.getSkill(skillId);
+    if (!skill) return;
+
+    const { projects, courses } = this.getEvidence(skillId);
+    this.selectedSkill = skillId;
+
+    this.container.querySelectorAll(".skill-badge").forEach((badge) => {
+      const selected = badge.dataset.skill === skillId;
+      badge.classList.toggle("skill-badge--selected", selected);
+      badge
+        .querySelector(".skill-badge__name")
+        .setAttribute("aria-pressed", selected.toString());
+    });
+
+    this.highlight(
+      ".project-card",
+      "project-card--highlighted",
+      projects.map((project) => project.id),
+      (card) => card.dataset.project
+    );
+    this.highlight(
+      ".course-item",
+      "course-item--highlighted",
+      courses.map((course) => course.id),
+      (item) => item.dataset.course
+    );
+
+    const summary = this.getSummary(skill, projects, courses);
+    this.renderEvidence(skill, summary, projects, courses);
+
+    if (announce) {
+      this.app.announceToScreenReader(summary);
+    }
+
+    // Notify other components
+    this.bus.emit("skillSelected", {
+      skillId,
+      projects: projects.map((project) => project.id),
+      courses: courses.map((course) => course.id),
+    });
+  }
+
+  clearSelection() {
+    this.selectedSkill = null;
+
+    this.container.querySelectorAll(".skill-badge").forEach((badge) => {
+      badge.classList.remove("skill-badge--selected");
+      badge
+        .querySelector(".skill-badge__name")
+        .setAttribute("aria-pressed", "false");
+    });
+
+    this.highlight(".project-card", "project-card--highlighted", []);
+    this.highlight(".course-item", "course-item--highlighted", []);
+
+    if (this.evidence) {
+      this.evidence.hidden = true;
+    }
+  }
+
+  highlight(selector, className, ids, getId) {
+    document.querySelectorAll(selector).forEach((element) => {
+      element.classList.toggle(
+        className,
+        ids.length > 0 && ids.includes(getId(element))
+      );
+    });
+  }
+
+  getSummary(skill, projects, courses) {
+    if (projects.length === 0 && courses.length === 0) {
+      return this.i18n.t("skills.evidence.none", { skill: skill.name });
+    }
+
+    return this.i18n.t("skills.evidence.summary", {
+      skill: skill.name,
+      projects: this.i18n.t("skills.evidence.projects", {
+        count: projects.length,
+      }),
+      courses: this.i18n.t("skills.evidence.courses", {
+        count: courses.length,
+      }),
+    });
+  }
+
+  renderEvidence(skill, summary, projects, courses) {
+    if (!this.evidence) return;
+
+    this.evidence.querySelector(".skills__evidence-title").textContent =
+      this.i18n.t("skills.evidence.title", { skill: skill.name });
+    this.evidence.querySelector(".skills__evidence-summary").textContent =
+      summary;
+
+    // Plain hash links, so the Router opens the project dialog or
+    // scrolls to the course like any other in-page link
+    const router = this.get("router");
+    const projectHash = (id) =>
+      router ? router.buildHash("projetos", [id]) : `#projetos/${id}`;
+
+    this.evidence
+      .querySelector(".skills__evidence-list")
+      .replaceChildren(
+        ...projects.map((project) =>
+          this.createEvidenceItem(
+            "project",
+            project.title,
+            projectHash(project.id)
+          )
+        ),
+        ...courses.map((course) =>
+          this.createEvidenceItem("course", course.title, `#curso-${course.id}`)
+        )
+      );
+
+    this.evidence.hidden = false;
+  }
+
+  createEvidenceItem(type, title, href) {
+    const item = document.createElement("li");
+    item.className = "skills__evidence-item";
+
+    const kind = document.createElement("span");
+    kind.className = "skills__evidence-type";
+    kind.textContent = this.i18n.t(`skills.evidence.${type}`);
+
+    const link = document.createElement("a");
+    link.className = "skills__evidence-link";
+    link.href = href;
+    link.textContent = title;
+
+    item.append(kind, link);
+    return item;
+  }
+
+  // Projects list the skill in their stack (by display or schema.org
+  // name); courses name the skill ids they taught
+  getEvidence(skillId) {
+    const skill = this.getSkill(skillId);
+    const names = [skill.name, skill.schemaName].filter(Boolean);
+
+    return {
+      projects: this.data.projects.filter((project) =>
+        (project.stack || []).some((technology) => names.includes(technology))
+      ),
+      courses: this.data.courses.filter((course) =>
+        (course.skills || []).includes(skillId)
+      ),
+    };
+  }
+
+  // Utility methods
+  getSkill(skillId) {
+    if (!this.data) return null;
+
+    return (
+      this.data.skills
+        .flatMap((group) => group.items)
+        .find((skill) => skill.id === skillId) || null
+    );
+  }
+
+  unmount() {
+    if (this.container) {
+      this.clearSelection();
+    }
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * Timeline Component
+ * Merges education, courses, projects and jobs from portfolio.json into
+ * one chronological timeline in the experience card. The overview lists
+ * every year; zooming into a year (the chips, or Enter on an entry) shows
+ * only that year, with descriptions. Arrow keys move between entries and
+ * AnimationManager's scroll observer slides them in.
+ */
+
+const KEYS_TO_OFFSET = {
+  ArrowDown: 1,
+  ArrowRight: 1,
+  ArrowUp: -1,
+  ArrowLeft: -1,
+};
+
+export class TimelineComponent {
+  constructor({ bus, i18n, app, listen, get }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.app = app;
+    this.listen = listen;
+    this.get = get;
+    this.container = document.querySelector(".timeline");
+    this.list = document.querySelector(".timeline__list");
+    this.zoomControls = document.querySelector(".timeline__zoom");
+
+    this.entries = [];
+    this.zoom = "all";
+    // Position of the entry that takes Tab focus (roving tabindex)
+    this.activeIndex = 0;
+  }
+
+  mount() {
+    if (!this.list) return;
+
+    // Rebuilt from portfolio.json on every language change
+    this.listen(this.bus, "contentLoaded", ({ data }) => this.setContent(data));
+
+    const content = this.get("content");
+    if (content && content.getData()) {
+      this.setContent(content.getData());
+    }
+
+    // Chips are rebuilt with the content, so clicks are delegated
+    if (this.zoomControls) {
+      this.listen(this.zoomControls, "click", (e) => {
+        const chip = e.target.closest(".timeline__zoom-option");
+        if (chip) {
+          this.setZoom(chip.dataset.year);
+        }
+      });
+    }
+
+    this.listen(this.list, "keydown", (e) => this.handleKeydown(e));
+    this.listen(this.list, "click", (e) => {
+      const entry = e.target.closest(".timeline__entry");
+      if (entry) {
+        this.setActive(entry);
+      }
+    });
+  }
+
+  setContent(data) {
+    this.entries = this.buildEntries(data);
+    this.render();
+    this.renderZoomControls();
+    this.applyZoom({ announce: false });
+  }
+
+  // Oldest first; dates are "YYYY" or "YYYY-MM" and sort as text
+  buildEntries(data) {
+    const jobs = data.experience || [];
+    const entries = [
+      ...(data.education || []).map((entry) => ({
+        type: "education",
+        date: String(entry.year),
+        title: this.i18n.localize(entry.title),
+      })),
+      ...(data.courses || []).map((course) => ({
+        type: "course",
+        date: course.date,
+        title: course.title,
+        description: this.i18n.t("courses.hours", { count: course.hours }),
+      })),
+      ...(data.projects || [])
+        .filter((project) => project.date)
+        .map((project) => ({
+          type: "project",
+          date: project.date,
+          title: project.title,
+          description: this.i18n.localize(project.description),
+        })),
+      ...jobs.map((job) => ({
+        type: "job",
+        date: job.start,
+        end: job.end,
+        title: this.i18n.localize(job.title),
+        description: job.organization,
+      })),
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    // Until the first job, the timeline ends with the search for one
+    if (jobs.length === 0) {
+      entries.push({
+        type: "next",
+        date: null,
+        title: this.i18n.t("sections.experienceStatus"),
+      });
+    }
+
+    return entries;
+  }
+
+  render() {
+    const content = this.get("content");
+    if (!content) return;
+
+    const years = new Map();
+    this.entries.forEach((entry, index) => {
+      const year = this.getYear(entry);
+      if (!years.has(year)) {
+        years.set(year, []);
+      }
+      years.get(year).push(this.createEntry(entry, index, content));
+    });
+
+    this.list.replaceChildren(
+      ...Array.from(years, ([year, items]) => {
+        const group = content.cloneTemplate("timeline-year-template");
+        group.dataset.year = year;
+        group.querySelector(".timeline__year-title").textContent =
+          year === "next" ? this.i18n.t("timeline.next") : year;
+        group.querySelector(".timeline__entries").append(...items);
+        return group;
+      })
+    );
+  }
+
+  createEntry(entry, index, content) {
+    const item = content.cloneTemplate("timeline-entry-template");
+    item.classList.add(`timeline__entry--${entry.type}`);
+    item.dataset.index = index;
+
+    item.querySelector(".timeline__type").textContent = this.i18n.t(
+      `timeline.types.${entry.type}`
+    );
+    item.querySelector(".timeline__title").textContent = entry.title;
+
+    const date = item.querySelector(".timeline__date");
+    if (entry.date) {
+      date.dateTime = entry.date;
+      date.textContent = this.formatRange(entry, content);
+    } else {
+      date.remove();
+    }
+
+    const description = item.querySelector(".timeline__description");
+    description.textContent = entry.description || "";
+    description.hidden = !entry.description;
+
+    return item;
+  }
+
+  // "10/2022", or "03/2024 – atual" for a job
+  formatRange(entry, content) {
+    const start = content.formatMonth(entry.date);
+    if (entry.type !== "job") return start;
+
+    const end = entry.end
+      ? content.formatMonth(entry.end)
+      : this.i18n.t("timeline.present");
+    return `${start} – ${end}`;
+  }
+
+  renderZoomControls() {
+    if (!this.zoomControls) return;
+
+    const years = [
+      ...new Set(this.entries.map((entry) => this.getYear(entry))),
+    ].filter((year) => year !== "next");
+
+    if (!years.includes(this.zoom)) {
+      this.zoom = "all";
+    }
+
+    this.zoomControls.replaceChildren(
+      ...["all", ...years].map((year) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "timeline__zoom-option";
+        chip.dataset.year = year;
+        chip.textContent =
+          year === "all" ? this.i18n.t("timeline.overview") : year;
+        chip.setAttribute("aria-pressed", (year === this.zoom).toString());
+        return chip;
+      })
+    );
+  }
+
+  // year: "all" for the overview, or a year such as "2022"
+  setZoom(year) {
+    this.zoom = year;
+    this.applyZoom();
+  }
+
+  applyZoom({ announce = true } = {}) {
+    const overview = this.zoom === "all";
+    this.container.dataset.zoom = overview ? "overview" : "year";
+
+    this.list.querySelectorAll(".timeline__year").forEach((group) => {
+      group.hidden = !overview && group.dataset.year !== this.zoom;
+    });
+
+    if (this.zoomControls) {
+      this.zoomControls
+        .querySelectorAll(".timeline__zoom-option")
+        .forEach((chip) => {
+          chip.setAttribute(
+            "aria-pressed",
+            (chip.dataset.year === this.zoom).toString()
+          );
+        });
+    }
+
+    // Keep the Tab stop on an entry that is still shown
+    const visible = this.getVisibleEntries();
+    const active =
+      visible.find(
+        (entry) => Number(entry.dataset.index) === this.activeIndex
+      ) || visible[0];
+    if (active) {
+      this.setActive(active);
+    }
+
+    if (announce) {
+      this.app.announceToScreenReader(
+        overview
+          ? this.i18n.t("timeline.overviewCount", { count: visible.length })
+          : this.i18n.t("timeline.yearCount", {
+              year: this.zoom,
+              count: visible.length,
+            })
+      );
+    }
+  }
+
+  // Keys are only consumed when they move the focus or change the zoom,
+  // so Escape at the overview still reaches the menu and dialogs
+  handleKeydown(e) {
+    const entry = e.target.closest(".timeline__entry");
+    if (!entry) return;
+
+    const visible = this.getVisibleEntries();
+    const index = visible.indexOf(entry);
+    let target = null;
+    let zoom = null;
+
+    if (e.key in KEYS_TO_OFFSET) {
+      target = visible[index + KEYS_TO_OFFSET[e.key]];
+    } else if (e.key === "Home") {
+      target = visible[0];
+    } else if (e.key === "End") {
+      target = visible[visible.length - 1];
+    } else if (e.key === "Enter" || e.key === "+") {
+      const year = entry.closest(".timeline__year").dataset.year;
+      if (this.zoom === "all" && year !== "next") {
+        zoom = year;
+      }
+    } else if ((e.key === "Escape" || e.key === "-") && this.zoom !== "all") {
+      zoom = "all";
+    }
+
+    if (zoom) {
+      e.preventDefault();
+      this.setZoom(zoom);
+    } else if (target && target !== entry) {
+      e.preventDefault();
+      this.setActive(target, { focus: true });
+    }
+  }
+
+  setActive(entry, { focus = false } = {}) {
+    this.activeIndex = Number(entry.dataset.index);
+
+    this.list.querySelectorAll(".timeline__entry").forEach((item) => {
+      item.tabIndex = item === entry ? 0 : -1;
+    });
+
+    if (focus) {
+      entry.focus();
+    }
+  }
+
+  // Utility methods
+  getVisibleEntries() {
+    return Array.from(this.list.querySelectorAll(".timeline__entry")).filter(
+      (entry) => !entry.closest("[hidden]")
+    );
+  }
+
+  getYear(entry) {
+    return entry.date ? entry.date.slice(0, 4) : "next";
+  }
+}
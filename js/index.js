@@ -0,0 +1,29 @@
+/**
+ * Public API
+ * Side-effect free entry for embedding or testing the portfolio modules
+ * (e.g. in Node with jsdom). Nothing is created until you construct it.
+ */
+
+export { PortfolioApp } from "./app.js";
+export { ThemeManager } from "./modules/theme.js";
+export { NavbarComponent } from "./components/navbar.js";
+export { ContentLoader } from "./modules/content.js";
+export { ProjectsComponent } from "./components/projects.js";
+export { SkillsComponent } from "./components/skills.js";
+export { CoursesComponent } from "./components/courses.js";
+export { TimelineComponent } from "./components/timeline.js";
+export { AnimationManager } from "./modules/animations.js";
+export { AnalyticsManager } from "./modules/analytics.js";
+export { PrintController } from "./modules/print.js";
+export { ContactFormComponent } from "./components/contact-form.js";
+export { ContactCard } from "./components/contact-card.js";
+export { VCard } from "./modules/vcard.js";
+export { QRCode } from "./modules/qr-code.js";
+export { CalendarEvent } from "./modules/calendar-event.js";
+export { EventBus } from "./modules/event-bus.js";
+export { ComponentRegistry } from "./modules/component-registry.js";
+export { ScrollScheduler } from "./modules/scroll-scheduler.js";
+export { I18nManager } from "./modules/i18n.js";
+export { ErrorReporter } from "./modules/error-reporter.js";
+export { Announcer } from "./modules/announcer.js";
+export { ToastManager } from "./modules/toasts.js";
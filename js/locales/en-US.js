@@ -0,0 +1,308 @@
+/**
+ * English (United States) message catalog
+ */
+
+import { I18nManager } from "../modules/i18n.js";
+
+I18nManager.registerCatalog("en-US", {
+  meta: {
+    title: "Sandro Júnior | Front-End Developer & UI/UX Designer - Bahia, Brazil",
+    description:
+      "Sandro Júnior - Front-End Developer and UI/UX Designer focused on building modern, accessible digital experiences. Professional portfolio with projects in HTML, CSS, JavaScript and React.",
+    shareTitle: "Sandro Júnior | Front-End Developer & UI/UX Designer",
+    shareDescription:
+      "Front-End Developer and UI/UX Designer focused on building modern, accessible digital experiences.",
+  },
+  a11y: {
+    skipLink: "Skip to main content",
+    location: "Location",
+    mainNav: "Main navigation",
+  },
+  nav: {
+    experience: "Experience",
+    education: "Education",
+    contact: "Contact",
+    openMenu: "Open menu",
+    closeMenu: "Close menu",
+  },
+  locale: {
+    switchTo: "Switch language to {language}",
+    names: {
+      "pt-BR": "Portuguese",
+      "en-US": "English",
+    },
+  },
+  theme: {
+    pickerLabel: "Theme: {mode}",
+    modeLabel: "Mode",
+    paletteLabel: "Theme",
+    changed: "Theme changed to {theme} mode",
+    names: {
+      dark: "dark",
+      light: "light",
+    },
+    modes: {
+      system: "System",
+      light: "Light",
+      dark: "Dark",
+    },
+    palettes: {
+      default: "Default",
+      "high-contrast": "High contrast",
+      sepia: "Sepia",
+      brand: "Indigo",
+    },
+    accent: {
+      label: "Accent color",
+      reset: "Reset",
+      applied: "Accent color applied.",
+      lowContrast:
+        "Not enough contrast ({ratio}:1, minimum 3:1). Try a {direction} color.",
+      darker: "darker",
+      lighter: "lighter",
+    },
+  },
+  accessibility: {
+    panelLabel: "Accessibility",
+    motionLabel: "Motion",
+    motion: {
+      full: "Full",
+      reduced: "Reduced",
+      none: "None",
+    },
+    fontSizeLabel: "Text size",
+    fontSizes: {
+      normal: "Normal",
+      large: "Large",
+      larger: "Larger",
+      largest: "Largest",
+    },
+    underlineLinks: "Underline links",
+    reset: "Restore defaults",
+  },
+  hero: {
+    photoAlt: "Profile photo of Sandro Júnior, front-end developer",
+    titleLead: "Developer",
+    titleFrontEnd: "Front End &",
+    titleDesigner: "UI/UX Designer",
+    description:
+      "Hi, my name is Sandro Júnior. I started studying programming in early 2022 aiming to work in the field. I have grown a lot since then and will keep growing.",
+  },
+  print: {
+    download: "Download résumé",
+    pagesLabel: "Layout",
+    pages: {
+      one: "1 page",
+      two: "2 pages",
+    },
+  },
+  sections: {
+    experience: "EXPERIENCE",
+    experienceStatus: "Looking for my first job",
+    skills: "TECHNOLOGIES & SKILLS",
+    education: "EDUCATION",
+    courses: "COURSES",
+    languages: "LANGUAGES",
+    projects: "Check out my work",
+  },
+  skills: {
+    categoryFilterLabel: "Filter skills by category",
+    levelFilterLabel: "Filter skills by level",
+    allCategories: "All",
+    allLevels: "All levels",
+    sortLabel: "Sort by",
+    sort: {
+      default: "Category",
+      name: "Name (A–Z)",
+      level: "Level",
+    },
+    hint: "Select a skill to see the projects and courses where it was used.",
+    meter: "{level}: {value} of {max}",
+    empty: "No skills found.",
+    found: {
+      one: "{count} skill found",
+      other: "{count} skills found",
+    },
+    evidence: {
+      title: "Where I used {skill}",
+      summary: "{skill}: {projects} and {courses}",
+      none: "No projects or courses are linked to {skill} yet.",
+      projects: {
+        one: "{count} project",
+        other: "{count} projects",
+      },
+      courses: {
+        one: "{count} course",
+        other: "{count} courses",
+      },
+      project: "Project",
+      course: "Course",
+    },
+  },
+  courses: {
+    showMore: "SHOW MORE",
+    showLess: "SHOW LESS",
+    hours: {
+      one: "{count} hour",
+      other: "{count} hours",
+    },
+    total: {
+      one: "{count} hour of study in total",
+      other: "{count} hours of study in total",
+    },
+    showing: "Showing {shown} of {total} courses",
+    sortLabel: "Sort by",
+    sort: {
+      date: "Most recent",
+      hours: "Most hours",
+    },
+    certificate: "View certificate",
+    certificateLabel: "View the {course} certificate",
+    certificateTitle: "Certificate: {course}",
+    certificateImage: "Certificate of completion for {course}",
+    openCertificate: "Open certificate",
+    closeCertificate: "Close certificate",
+  },
+
+  timeline: {
+    label: "Timeline of education, courses and projects",
+    zoomLabel: "Zoom the timeline by year",
+    overview: "Overview",
+    hint:
+      "Use the arrow keys to move through the timeline, Enter to zoom into a year and Esc to go back to the overview.",
+    next: "Next step",
+    present: "present",
+    overviewCount: {
+      one: "Overview: {count} event",
+      other: "Overview: {count} events",
+    },
+    yearCount: {
+      one: "{year}: {count} event",
+      other: "{year}: {count} events",
+    },
+    types: {
+      education: "Education",
+      course: "Course",
+      project: "Project",
+      job: "Job",
+      next: "Coming up",
+    },
+  },
+  projects: {
+    filterLabel: "Filter projects by category",
+    all: "All",
+    searchLabel: "Search projects",
+    searchPlaceholder: "Search projects...",
+    empty: "No projects found.",
+    view: "View Project",
+    found: {
+      one: "{count} project found",
+      other: "{count} projects found",
+    },
+    close: "Close project details",
+    stack: "Technologies",
+    live: "View live",
+    repo: "Repository",
+  },
+  contactForm: {
+    title: "Send a message",
+    name: "Name",
+    email: "Email",
+    message: "Message",
+    submit: "Send message",
+    counter: "{count}/{max} characters",
+    mailSubject: "Portfolio contact - {name}",
+    sent: "Message sent! I'll get back to you soon.",
+    handoff: "Opening your email app to finish sending.",
+    failed: "The message could not be sent. Your draft was saved, please try again.",
+    errors: {
+      nameRequired: "Please enter your name.",
+      emailRequired: "Please enter your email.",
+      emailInvalid: "Please enter a valid email, like name@example.com.",
+      messageRequired: "Please write your message.",
+      messageTooLong: "The message can have at most {max} characters.",
+    },
+  },
+  consent: {
+    bannerTitle: "Your privacy",
+    bannerText:
+      "External fonts and anonymous visit statistics are only used with your permission.",
+    acceptAll: "Accept all",
+    rejectAll: "Essential only",
+    customize: "Preferences",
+    dialogTitle: "Privacy preferences",
+    dialogDescription:
+      "Choose what may be loaded. You can change your mind at any time using the link in the footer.",
+    close: "Close preferences",
+    save: "Save preferences",
+    saved: "Privacy preferences saved",
+    footerLink: "Privacy preferences",
+    categories: {
+      essential: {
+        title: "Essential",
+        description:
+          "Remember theme, language and drafts in this browser. Always on.",
+      },
+      analytics: {
+        title: "Statistics",
+        description:
+          "Anonymous count of visits and clicks, without tracking cookies.",
+      },
+      fonts: {
+        title: "External fonts",
+        description:
+          "Loads the Inter font from Google Fonts, which receives your IP address.",
+      },
+    },
+  },
+  pwa: {
+    updateAvailable: "A new version of the portfolio is available.",
+    reload: "Reload",
+  },
+  contactCard: {
+    download: "Save contact",
+    showQr: "QR code",
+    qrLabel: "QR code with the contact details",
+    qrCaption: "Point your phone camera here to save the contact.",
+    schedule: "Schedule a call",
+    eventSummary: "Call with {name}",
+    eventDescription:
+      "Suggested time: adjust it in your calendar and send the invite to {email}.",
+    copy: "Copy {label}",
+    copied: "{value} copied to the clipboard.",
+    copyFailed: "Couldn't copy. Please copy it manually: {value}",
+  },
+  notifications: {
+    region: "Notifications",
+    dismiss: "Dismiss notification",
+  },
+  errors: {
+    moduleFailed:
+      "Feature unavailable: {feature}. The rest of the page still works.",
+    features: {
+      i18n: "Languages",
+      theme: "Theme",
+      navbar: "Navigation menu",
+      projects: "Projects",
+      skills: "Skills",
+      courses: "Courses",
+      timeline: "Timeline",
+      contactForm: "Contact form",
+      animations: "Animations",
+      router: "Link navigation",
+      consent: "Privacy preferences",
+      content: "Portfolio content",
+      analytics: "Statistics",
+      pwa: "Offline mode",
+      accessibility: "Accessibility",
+    },
+  },
+  footer: {
+    title: "Shall we work together?",
+    description:
+      "I'm available for new projects. Get in touch so we can schedule a conversation.",
+    location: "Based in Guanambi/BA, Brazil",
+    contactTitle: "Contact",
+    copyright: "© 2024 Sandro Júnior. Built by Sandro Júnior.",
+  },
+});
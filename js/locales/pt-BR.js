@@ -0,0 +1,310 @@
+/**
+ * Portuguese (Brazil) message catalog
+ * Keep these strings in sync with the default markup in index.html
+ */
+
+import { I18nManager } from "../modules/i18n.js";
+
+I18nManager.registerCatalog("pt-BR", {
+  meta: {
+    title: "Sandro Júnior | Desenvolvedor Front-End & UI/UX Designer - Bahia",
+    description:
+      "Sandro Júnior - Desenvolvedor Front-End e UI/UX Designer especializado em criar experiências digitais modernas e acessíveis. Portfólio profissional com projetos em HTML, CSS, JavaScript e React.",
+    shareTitle: "Sandro Júnior | Desenvolvedor Front-End & UI/UX Designer",
+    shareDescription:
+      "Desenvolvedor Front-End e UI/UX Designer especializado em criar experiências digitais modernas e acessíveis.",
+  },
+  a11y: {
+    skipLink: "Pular para o conteúdo principal",
+    location: "Localização",
+    mainNav: "Navegação principal",
+  },
+  nav: {
+    experience: "Experiência",
+    education: "Formação",
+    contact: "Contato",
+    openMenu: "Abrir menu",
+    closeMenu: "Fechar menu",
+  },
+  locale: {
+    switchTo: "Mudar idioma para {language}",
+    names: {
+      "pt-BR": "português",
+      "en-US": "inglês",
+    },
+  },
+  theme: {
+    pickerLabel: "Tema: {mode}",
+    modeLabel: "Modo",
+    paletteLabel: "Tema",
+    changed: "Tema alterado para modo {theme}",
+    names: {
+      dark: "escuro",
+      light: "claro",
+    },
+    modes: {
+      system: "Sistema",
+      light: "Claro",
+      dark: "Escuro",
+    },
+    palettes: {
+      default: "Padrão",
+      "high-contrast": "Alto contraste",
+      sepia: "Sépia",
+      brand: "Índigo",
+    },
+    accent: {
+      label: "Cor de destaque",
+      reset: "Restaurar",
+      applied: "Cor de destaque aplicada.",
+      lowContrast:
+        "Contraste insuficiente ({ratio}:1, mínimo 3:1). Tente uma cor mais {direction}.",
+      darker: "escura",
+      lighter: "clara",
+    },
+  },
+  accessibility: {
+    panelLabel: "Acessibilidade",
+    motionLabel: "Movimento",
+    motion: {
+      full: "Completo",
+      reduced: "Reduzido",
+      none: "Nenhum",
+    },
+    fontSizeLabel: "Tamanho do texto",
+    fontSizes: {
+      normal: "Normal",
+      large: "Grande",
+      larger: "Maior",
+      largest: "Muito grande",
+    },
+    underlineLinks: "Sublinhar links",
+    reset: "Restaurar padrões",
+  },
+  hero: {
+    photoAlt: "Foto de perfil de Sandro Júnior, desenvolvedor front-end",
+    titleLead: "Desenvolvedor",
+    titleFrontEnd: "Front End &",
+    titleDesigner: "UI/UX Designer",
+    description:
+      "Olá, eu me chamo Sandro Júnior, comecei a estudar programação no início de 2022 com interesse em trabalhar na área, tenho evoluído muito desde o começo e irei evoluir muito mais.",
+  },
+  print: {
+    download: "Baixar currículo",
+    pagesLabel: "Formato",
+    pages: {
+      one: "1 página",
+      two: "2 páginas",
+    },
+  },
+  sections: {
+    experience: "EXPERIÊNCIA",
+    experienceStatus: "Em busca do primeiro trabalho",
+    skills: "TECNOLOGIAS & HABILIDADES",
+    education: "FORMAÇÃO",
+    courses: "CURSOS",
+    languages: "IDIOMAS",
+    projects: "Confira a minha experiência",
+  },
+  skills: {
+    categoryFilterLabel: "Filtrar habilidades por categoria",
+    levelFilterLabel: "Filtrar habilidades por nível",
+    allCategories: "Todas",
+    allLevels: "Todos os níveis",
+    sortLabel: "Ordenar por",
+    sort: {
+      default: "Categoria",
+      name: "Nome (A–Z)",
+      level: "Nível",
+    },
+    hint:
+      "Selecione uma habilidade para ver os projetos e cursos em que ela foi usada.",
+    meter: "{level}: {value} de {max}",
+    empty: "Nenhuma habilidade encontrada.",
+    found: {
+      one: "{count} habilidade encontrada",
+      other: "{count} habilidades encontradas",
+    },
+    evidence: {
+      title: "Onde usei {skill}",
+      summary: "{skill}: {projects} e {courses}",
+      none: "Ainda não há projetos ou cursos ligados a {skill}.",
+      projects: {
+        one: "{count} projeto",
+        other: "{count} projetos",
+      },
+      courses: {
+        one: "{count} curso",
+        other: "{count} cursos",
+      },
+      project: "Projeto",
+      course: "Curso",
+    },
+  },
+  courses: {
+    showMore: "VER MAIS",
+    showLess: "VER MENOS",
+    hours: {
+      one: "{count} hora",
+      other: "{count} horas",
+    },
+    total: {
+      one: "{count} hora de estudo no total",
+      other: "{count} horas de estudo no total",
+    },
+    showing: "Mostrando {shown} de {total} cursos",
+    sortLabel: "Ordenar por",
+    sort: {
+      date: "Mais recentes",
+      hours: "Mais horas",
+    },
+    certificate: "Ver certificado",
+    certificateLabel: "Ver certificado de {course}",
+    certificateTitle: "Certificado: {course}",
+    certificateImage: "Certificado de conclusão do curso {course}",
+    openCertificate: "Abrir certificado",
+    closeCertificate: "Fechar certificado",
+  },
+
+  timeline: {
+    label: "Linha do tempo de formação, cursos e projetos",
+    zoomLabel: "Ampliar a linha do tempo por ano",
+    overview: "Visão geral",
+    hint:
+      "Use as setas para percorrer a linha do tempo, Enter para ampliar um ano e Esc para voltar à visão geral.",
+    next: "Próximo passo",
+    present: "atual",
+    overviewCount: {
+      one: "Visão geral: {count} evento",
+      other: "Visão geral: {count} eventos",
+    },
+    yearCount: {
+      one: "{year}: {count} evento",
+      other: "{year}: {count} eventos",
+    },
+    types: {
+      education: "Formação",
+      course: "Curso",
+      project: "Projeto",
+      job: "Trabalho",
+      next: "Em breve",
+    },
+  },
+  projects: {
+    filterLabel: "Filtrar projetos por categoria",
+    all: "Todos",
+    searchLabel: "Buscar projetos",
+    searchPlaceholder: "Buscar projetos...",
+    empty: "Nenhum projeto encontrado.",
+    view: "Ver Projeto",
+    found: {
+      one: "{count} projeto encontrado",
+      other: "{count} projetos encontrados",
+    },
+    close: "Fechar detalhes do projeto",
+    stack: "Tecnologias",
+    live: "Ver online",
+    repo: "Repositório",
+  },
+  contactForm: {
+    title: "Envie uma mensagem",
+    name: "Nome",
+    email: "E-mail",
+    message: "Mensagem",
+    submit: "Enviar mensagem",
+    counter: "{count}/{max} caracteres",
+    mailSubject: "Contato pelo portfólio - {name}",
+    sent: "Mensagem enviada! Responderei em breve.",
+    handoff: "Abrindo seu aplicativo de e-mail para concluir o envio.",
+    failed: "Não foi possível enviar a mensagem. Seu rascunho foi salvo, tente novamente.",
+    errors: {
+      nameRequired: "Informe seu nome.",
+      emailRequired: "Informe seu e-mail.",
+      emailInvalid: "Informe um e-mail válido, como nome@exemplo.com.",
+      messageRequired: "Escreva sua mensagem.",
+      messageTooLong: "A mensagem pode ter no máximo {max} caracteres.",
+    },
+  },
+  consent: {
+    bannerTitle: "Sua privacidade",
+    bannerText:
+      "Uso fontes externas e estatísticas anônimas de visita apenas com a sua permissão.",
+    acceptAll: "Aceitar tudo",
+    rejectAll: "Somente essenciais",
+    customize: "Preferências",
+    dialogTitle: "Preferências de privacidade",
+    dialogDescription:
+      "Escolha o que pode ser carregado. Você pode mudar de ideia a qualquer momento pelo link no rodapé.",
+    close: "Fechar preferências",
+    save: "Salvar preferências",
+    saved: "Preferências de privacidade salvas",
+    footerLink: "Preferências de privacidade",
+    categories: {
+      essential: {
+        title: "Essenciais",
+        description:
+          "Guardam tema, idioma e rascunhos neste navegador. Sempre ativos.",
+      },
+      analytics: {
+        title: "Estatísticas",
+        description:
+          "Contagem anônima de visitas e cliques, sem cookies de rastreamento.",
+      },
+      fonts: {
+        title: "Fontes externas",
+        description:
+          "Carrega a fonte Inter do Google Fonts, que recebe o seu endereço IP.",
+      },
+    },
+  },
+  pwa: {
+    updateAvailable: "Uma nova versão do portfólio está disponível.",
+    reload: "Recarregar",
+  },
+  contactCard: {
+    download: "Salvar contato",
+    showQr: "QR code",
+    qrLabel: "QR code com os dados de contato",
+    qrCaption: "Aponte a câmera do celular para salvar o contato.",
+    schedule: "Agendar conversa",
+    eventSummary: "Conversa com {name}",
+    eventDescription:
+      "Horário sugerido: ajuste no seu calendário e envie o convite para {email}.",
+    copy: "Copiar {label}",
+    copied: "{value} copiado para a área de transferência.",
+    copyFailed: "Não foi possível copiar. Copie manualmente: {value}",
+  },
+  notifications: {
+    region: "Notificações",
+    dismiss: "Fechar notificação",
+  },
+  errors: {
+    moduleFailed:
+      "Recurso indisponível: {feature}. O restante da página continua funcionando.",
+    features: {
+      i18n: "Idiomas",
+      theme: "Tema",
+      navbar: "Menu de navegação",
+      projects: "Projetos",
+      skills: "Habilidades",
+      courses: "Cursos",
+      timeline: "Linha do tempo",
+      contactForm: "Formulário de contato",
+      animations: "Animações",
+      router: "Navegação por links",
+      consent: "Preferências de privacidade",
+      content: "Conteúdo do portfólio",
+      analytics: "Estatísticas",
+      pwa: "Modo offline",
+      accessibility: "Acessibilidade",
+    },
+  },
+  footer: {
+    title: "Vamos trabalhar juntos?",
+    description:
+      "Estou disponível para novos projetos. Entre em contato comigo para marcarmos uma conversa.",
+    location: "Localizado em Guanambi/BA",
+    contactTitle: "Contato",
+    copyright: "© 2024 Sandro Júnior. Desenvolvido por Sandro Júnior.",
+  },
+});
@@ -0,0 +1,236 @@
+/**
+ * Accessibility Module
+ * In-page preferences for motion (full / reduced / none), text size and
+ * link underlines, persisted in localStorage. Until a motion level is
+ * chosen it follows the OS prefers-reduced-motion setting. The first paint
+ * uses the inline bootstrap in index.html, which reads the same key.
+ */
+
+export class AccessibilityManager {
+  constructor({ bus, listen }) {
+    this.bus = bus;
+    this.listen = listen;
+    this.root = document.documentElement;
+    this.toggle = document.getElementById("a11y-toggle");
+    this.panel = document.getElementById("a11y-panel");
+    this.motionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+    this.preferences = this.getStoredPreferences();
+  }
+
+  mount() {
+    this.apply({ source: "init" });
+
+    if (this.toggle && this.panel) {
+      this.initPanel();
+    }
+
+    // Follow the OS until a motion level is chosen
+    this.listen(this.motionQuery, "change", () => {
+      if (this.preferences.motion === null) {
+        this.apply({ source: "system" });
+      }
+    });
+
+    // Choices made in another tab
+    this.listen(window, "storage", (e) => {
+      if (e.key === null || e.key === AccessibilityManager.STORAGE_KEY) {
+        this.preferences = this.getStoredPreferences();
+        this.apply({ source: "storage" });
+      }
+    });
+  }
+
+  // Storage
+  getStoredPreferences() {
+    const defaults = { motion: null, fontScale: 1, underlineLinks: false };
+
+    try {
+      const stored = JSON.parse(
+        localStorage.getItem(AccessibilityManager.STORAGE_KEY)
+      );
+      if (!stored) return defaults;
+
+      return {
+        motion: AccessibilityManager.MOTION_LEVELS.includes(stored.motion)
+          ? stored.motion
+          : null,
+        fontScale: AccessibilityManager.FONT_SCALES.includes(stored.fontScale)
+          ? stored.fontScale
+          : 1,
+        underlineLinks: stored.underlineLinks === true,
+      };
+    } catch (error) {
+      console.warn("Could not read accessibility preferences:", error);
+      return defaults;
+    }
+  }
+
+  storePreferences() {
+    try {
+      localStorage.setItem(
+        AccessibilityManager.STORAGE_KEY,
+        JSON.stringify(this.preferences)
+      );
+    } catch (error) {
+      console.warn("Could not store accessibility preferences:", error);
+    }
+  }
+
+  getMotion() {
+    if (this.preferences.motion) {
+      return this.preferences.motion;
+    }
+    return this.motionQuery.matches ? "reduced" : "full";
+  }
+
+  getFontScale() {
+    return this.preferences.fontScale;
+  }
+
+  getPreferences() {
+    return { ...this.preferences, motion: this.getMotion() };
+  }
+
+  apply({ source = "user" } = {}) {
+    const motion = this.getMotion();
+    const { fontScale, underlineLinks } = this.preferences;
+
+    this.root.setAttribute("data-motion", motion);
+    // Every rem follows the root size set in css/base/reset.css
+    this.root.style.fontSize = fontScale === 1 ? "" : `${16 * fontScale}px`;
+    this.root.toggleAttribute("data-underline-links", underlineLinks);
+
+    this.syncPanel();
+
+    // AnimationManager and the router read the new motion level from here
+    this.bus.emit("accessibilityChanged", {
+      motion,
+      fontScale,
+      underlineLinks,
+      source,
+    });
+  }
+
+  update(changes) {
+    this.preferences = { ...this.preferences, ...changes };
+    this.storePreferences();
+    this.apply({ source: "user" });
+  }
+
+  setMotion(level) {
+    if (level !== null && !AccessibilityManager.MOTION_LEVELS.includes(level)) {
+      return;
+    }
+    this.update({ motion: level });
+  }
+
+  setFontScale(scale) {
+    if (!AccessibilityManager.FONT_SCALES.includes(scale)) return;
+    this.update({ fontScale: scale });
+  }
+
+  setUnderlineLinks(enabled) {
+    this.update({ underlineLinks: Boolean(enabled) });
+  }
+
+  reset() {
+    try {
+      localStorage.removeItem(AccessibilityManager.STORAGE_KEY);
+    } catch (error) {
+      console.warn("Could not reset accessibility preferences:", error);
+    }
+
+    this.preferences = this.getStoredPreferences();
+    this.apply({ source: "user" });
+  }
+
+  // Panel
+  initPanel() {
+    this.syncPanel();
+
+    this.listen(this.toggle, "click", () => {
+      if (this.panel.hidden) {
+        this.openPanel();
+      } else {
+        this.closePanel();
+      }
+    });
+
+    this.listen(this.panel, "change", (e) => {
+      const input = e.target;
+
+      if (input.name === "a11y-motion") {
+        this.setMotion(input.value);
+      } else if (input.name === "a11y-font-scale") {
+        this.setFontScale(Number(input.value));
+      } else if (input.name === "a11y-underline-links") {
+        this.setUnderlineLinks(input.checked);
+      }
+    });
+
+    const resetButton = this.panel.querySelector("[data-a11y-reset]");
+    if (resetButton) {
+      this.listen(resetButton, "click", () => this.reset());
+    }
+
+    this.listen(this.panel, "keydown", (e) => {
+      if (e.key === "Escape") {
+        this.closePanel();
+        this.toggle.focus();
+      }
+    });
+
+    // Close when clicking outside
+    this.listen(document, "click", (e) => {
+      if (
+        !this.panel.hidden &&
+        !this.panel.contains(e.target) &&
+        !this.toggle.contains(e.target)
+      ) {
+        this.closePanel();
+      }
+    });
+  }
+
+  syncPanel() {
+    if (!this.panel) return;
+
+    const motion = this.getMotion();
+    const { fontScale, underlineLinks } = this.preferences;
+
+    this.panel.querySelectorAll("input").forEach((input) => {
+      if (input.name === "a11y-motion") {
+        input.checked = input.value === motion;
+      } else if (input.name === "a11y-font-scale") {
+        input.checked = Number(input.value) === fontScale;
+      } else if (input.name === "a11y-underline-links") {
+        input.checked = underlineLinks;
+      }
+    });
+  }
+
+  openPanel() {
+    this.panel.hidden = false;
+    this.toggle.setAttribute("aria-expanded", "true");
+
+    const first =
+      this.panel.querySelector("input:checked") ||
+      this.panel.querySelector("input");
+    if (first) {
+      first.focus();
+    }
+  }
+
+  closePanel() {
+    this.panel.hidden = true;
+    this.toggle.setAttribute("aria-expanded", "false");
+  }
+}
+
+// Shared with the inline bootstrap in index.html
+AccessibilityManager.STORAGE_KEY = "a11yPreferences";
+
+AccessibilityManager.MOTION_LEVELS = ["full", "reduced", "none"];
+
+// Multipliers of the 16px root size
+AccessibilityManager.FONT_SCALES = [1, 1.125, 1.25, 1.5];
@@ -0,0 +1,131 @@
+/**
+ * Analytics Providers Module
+ * Adapters used by AnalyticsManager. Every provider exposes
+ * `send(events)`, receiving a batch of { name, props, url, timestamp }.
+ */
+
+// Delivers a payload even while the page is unloading
+export function sendAnalyticsPayload(url, payload) {
+  const body = JSON.stringify(payload);
+
+  // text/plain keeps the beacon a "simple" request (no CORS preflight)
+  if (
+    navigator.sendBeacon &&
+    navigator.sendBeacon(url, new Blob([body], { type: "text/plain" }))
+  ) {
+    return;
+  }
+
+  fetch(url, { method: "POST", body, keepalive: true }).catch((error) => {
+    console.warn("Could not send analytics payload:", error);
+  });
+}
+
+export class PlausibleProvider {
+  constructor({ domain, endpoint = "https://plausible.io/api/event" }) {
+    this.name = "plausible";
+    this.domain = domain;
+    this.endpoint = endpoint;
+  }
+
+  send(events) {
+    // The Events API takes one event per request
+    events.forEach((event) => {
+      sendAnalyticsPayload(this.endpoint, {
+        name: event.name === "page_view" ? "pageview" : event.name,
+        url: event.url,
+        domain: this.domain,
+        referrer: document.referrer || null,
+        props: event.props,
+      });
+    });
+  }
+}
+
+export class UmamiProvider {
+  constructor({ websiteId, endpoint = "https://cloud.umami.is/api/send" }) {
+    this.name = "umami";
+    this.websiteId = websiteId;
+    this.endpoint = endpoint;
+  }
+
+  send(events) {
+    events.forEach((event) => {
+      const url = new URL(event.url);
+
+      sendAnalyticsPayload(this.endpoint, {
+        type: "event",
+        payload: {
+          website: this.websiteId,
+          hostname: url.hostname,
+          url: `${url.pathname}${url.hash}`,
+          language: document.documentElement.lang,
+          referrer: document.referrer,
+          // Page views are sent without an event name
+          name: event.name === "page_view" ? undefined : event.name,
+          data: event.props,
+        },
+      });
+    });
+  }
+}
+
+// Forwards to gtag.js, which batches on its own
+export class GA4Provider {
+  constructor() {
+    this.name = "ga4";
+    this.warned = false;
+  }
+
+  send(events) {
+    if (typeof window.gtag !== "function") {
+      if (!this.warned) {
+        console.warn("GA4 provider selected but gtag.js is not loaded");
+        this.warned = true;
+      }
+      return;
+    }
+
+    events.forEach((event) => {
+      window.gtag("event", event.name, {
+        ...event.props,
+        page_location: event.url,
+        transport_type: "beacon",
+      });
+    });
+  }
+}
+
+export class DebugProvider {
+  constructor() {
+    this.name = "debug";
+  }
+
+  send(events) {
+    console.log("Analytics batch:", events);
+  }
+}
+
+export class NoopProvider {
+  constructor() {
+    this.name = "none";
+  }
+
+  send() {}
+}
+
+// Pick a provider from the analytics:* meta tags in index.html
+export function createAnalyticsProvider({ provider, domain, websiteId, endpoint } = {}) {
+  switch (provider) {
+    case "plausible":
+      return new PlausibleProvider({ domain, endpoint });
+    case "umami":
+      return new UmamiProvider({ websiteId, endpoint });
+    case "ga4":
+      return new GA4Provider();
+    case "debug":
+      return new DebugProvider();
+    default:
+      return new NoopProvider();
+  }
+}
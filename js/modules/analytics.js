@@ -0,0 +1,172 @@
+/**
+ * Analytics Module
+ * Queues typed events and flushes them in batches to a pluggable provider
+ * (see js/modules/analytics-providers.js). Nothing is collected when the
+ * visitor sends Do Not Track / Global Privacy Control or has not consented.
+ */
+
+import { createAnalyticsProvider } from "./analytics-providers.js";
+
+export class AnalyticsManager {
+  constructor({
+    bus,
+    listen,
+    get,
+    provider,
+    batchSize = 10,
+    flushDelay = 5000,
+  }) {
+    this.bus = bus;
+    this.listen = listen;
+    this.get = get;
+    this.provider = provider || createAnalyticsProvider(this.readConfig());
+    this.batchSize = batchSize;
+    this.flushDelay = flushDelay;
+    this.queue = [];
+    this.flushTimer = null;
+    this.viewedSections = new Set();
+  }
+
+  mount() {
+    // pagehide is the last reliable moment to send on mobile browsers
+    this.listen(window, "pagehide", () => this.flush());
+    this.listen(document, "visibilitychange", () => {
+      if (document.visibilityState === "hidden") {
+        this.flush();
+      }
+    });
+  }
+
+  // Provider settings live in index.html:
+  //   <meta name="analytics:provider" content="plausible|umami|ga4|debug|none">
+  //   <meta name="analytics:domain|analytics:website-id|analytics:endpoint">
+  readConfig() {
+    const read = (name) => {
+      const meta = document.querySelector(`meta[name="analytics:${name}"]`);
+      return meta ? meta.getAttribute("content") : "";
+    };
+
+    return {
+      provider: read("provider"),
+      domain: read("domain") || window.location.hostname,
+      websiteId: read("website-id"),
+      endpoint: read("endpoint") || undefined,
+    };
+  }
+
+  isDoNotTrack() {
+    return (
+      navigator.doNotTrack === "1" ||
+      window.doNotTrack === "1" ||
+      navigator.globalPrivacyControl === true
+    );
+  }
+
+  // Consent is owned by ConsentManager (js/modules/consent.js)
+  hasConsent() {
+    const consent = this.get("consent");
+    return Boolean(consent && consent.has("analytics"));
+  }
+
+  clearQueue() {
+    this.queue = [];
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  isEnabled() {
+    return !this.isDoNotTrack() && this.hasConsent();
+  }
+
+  // Queue an event; unknown names and props outside the schema are dropped.
+  // Every event is reported on the bus as "analyticsEvent" with `queued`
+  // false when DNT or missing consent kept it. Returns whether it was queued
+  track(name, props = {}) {
+    const schema = AnalyticsManager.EVENTS[name];
+
+    if (!schema) {
+      console.warn("Unknown analytics event:", name);
+      return false;
+    }
+
+    const event = {
+      name,
+      props: Object.fromEntries(
+        schema
+          .filter((key) => props[key] !== undefined)
+          .map((key) => [key, props[key]])
+      ),
+      url: window.location.href,
+      timestamp: Date.now(),
+    };
+    const queued = this.isEnabled();
+
+    this.bus.emit("analyticsEvent", { event, queued });
+    if (!queued) return false;
+
+    this.queue.push(event);
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+    return true;
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.queue.length === 0) return;
+
+    const events = this.queue;
+    this.queue = [];
+
+    try {
+      this.provider.send(events);
+    } catch (error) {
+      console.warn("Analytics provider failed:", error);
+    }
+  }
+
+  // Typed helpers
+  trackPageView() {
+    this.track("page_view", { locale: document.documentElement.lang });
+  }
+
+  trackSectionView(section) {
+    // Only the first view of each section per page load is interesting;
+    // views before consent don't count, so a later one is still reported
+    if (this.viewedSections.has(section)) return;
+
+    if (this.track("section_view", { section })) {
+      this.viewedSections.add(section);
+    }
+  }
+
+  trackContactClick(channel) {
+    this.track("outbound_contact_click", { channel });
+  }
+
+  trackProjectOpen(project, category) {
+    this.track("project_open", { project, category });
+  }
+
+  trackThemeToggle(theme) {
+    this.track("theme_toggle", { theme });
+  }
+
+  unmount() {
+    this.flush();
+  }
+}
+
+// Event names and the props each one may carry
+AnalyticsManager.EVENTS = {
+  page_view: ["locale"],
+  section_view: ["section"],
+  outbound_contact_click: ["channel"],
+  project_open: ["project", "category"],
+  theme_toggle: ["theme"],
+};
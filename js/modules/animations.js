@@ -3,96 +3,271 @@
  * Handles scroll animations, intersection observer, and visual effects
  */
 
-class AnimationManager {
-  constructor() {
+export class AnimationManager {
+  constructor({ bus, scheduler, signal, listen, get }) {
+    this.bus = bus;
+    this.scheduler = scheduler;
+    this.signal = signal;
+    this.listen = listen;
+    this.get = get;
     this.observerOptions = {
       threshold: 0.1,
       rootMargin: "0px 0px -50px 0px",
     };
 
-    this.init();
+    // Elements waiting to enter the viewport
+    this.trackedElements = new WeakSet();
+
+    // Running Web Animations, one per element
+    this.animations = new WeakMap();
+
+    // Elements that already have hover/ripple listeners attached
+    this.enhancedElements = new WeakSet();
   }
 
-  init() {
-    // Check if user prefers reduced motion
-    this.respectsReducedMotion = window.matchMedia(
-      "(prefers-reduced-motion: reduce)"
-    ).matches;
+  mount() {
+    // Motion level (full / reduced / none) from the accessibility panel,
+    // or from the OS when that module is unavailable, applied live
+    this.motionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+    this.motionLevel = this.getMotionLevel();
+    this.respectsReducedMotion = this.motionLevel !== "full";
+    this.listen(this.motionQuery, "change", () =>
+      this.setMotionLevel(this.getMotionLevel())
+    );
+    this.listen(this.bus, "accessibilityChanged", ({ motion }) =>
+      this.setMotionLevel(motion)
+    );
 
-    if (!this.respectsReducedMotion) {
-      this.initScrollAnimations();
-      this.initSkillAnimations();
-      this.initHoverEffects();
-    }
+    this.initScrollAnimations();
+    this.initHoverEffects();
 
-    this.initSmoothScrolling();
+    // Pick up [data-animate] elements rendered later (portfolio.json,
+    // timeline, project cards...) without each component having to ask.
+    // Only <main> is watched, and only the added subtrees that carry
+    // data-animate are scanned, so toasts and ripples cost nothing
+    this.mutationObserver = new MutationObserver((mutations) =>
+      this.handleMutations(mutations)
+    );
+    this.mutationObserver.observe(
+      document.querySelector("main") || document.body,
+      { childList: true, subtree: true }
+    );
+
+    // Hover effects for the cards and buttons portfolio.json rendered
+    this.listen(this.bus, "contentLoaded", () => this.refresh());
   }
 
-  initScrollAnimations() {
-    // Create intersection observer for scroll animations
-    this.scrollObserver = new IntersectionObserver((entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add("in-view");
-
-          // Add staggered animation for child elements
-          const children = entry.target.querySelectorAll(".stagger-child");
-          children.forEach((child, index) => {
-            setTimeout(() => {
-              child.classList.add("animate-in");
-            }, index * 100);
-          });
+  handleMutations(mutations) {
+    mutations.forEach((mutation) => {
+      mutation.addedNodes.forEach((node) => {
+        if (
+          node.nodeType === Node.ELEMENT_NODE &&
+          (node.matches("[data-animate]") ||
+            node.querySelector("[data-animate]"))
+        ) {
+          this.observe(node);
         }
       });
-    }, this.observerOptions);
-
-    // Observe elements with scroll-animate class
-    const animateElements = document.querySelectorAll(".scroll-animate");
-    animateElements.forEach((el) => {
-      this.scrollObserver.observe(el);
     });
+  }
+
+  refresh() {
+    this.observe(document);
+    this.initHoverEffects();
+  }
 
-    // Auto-add scroll-animate class to cards and sections
-    const autoAnimateElements = document.querySelectorAll(
-      ".card, .skill-badge, .project-card"
+  // Declarative scroll animations:
+  //   data-animate="fade-up|slide-left|slide-right"
+  //   data-animate-delay="ms"       extra delay for this element
+  //   data-animate-stagger="ms"     on a container, spaces out the
+  //                                 [data-animate] children entering together
+  //   data-animate-repeat           reverse on leave, replay on enter
+  initScrollAnimations() {
+    this.scrollObserver = new IntersectionObserver(
+      (entries) => this.handleIntersections(entries),
+      this.observerOptions
     );
-    autoAnimateElements.forEach((el) => {
-      el.classList.add("scroll-animate");
-      this.scrollObserver.observe(el);
+
+    this.setMotionLevel(this.motionLevel);
+    this.observe(document);
+  }
+
+  // root: a document or element; an element is included itself
+  observe(root) {
+    const elements = Array.from(root.querySelectorAll("[data-animate]"));
+    if (root.nodeType === Node.ELEMENT_NODE && root.matches("[data-animate]")) {
+      elements.unshift(root);
+    }
+
+    elements.forEach((element) => {
+      if (this.trackedElements.has(element) || element.dataset.animateState) {
+        return;
+      }
+
+      this.trackedElements.add(element);
+      this.scrollObserver.observe(element);
     });
   }
 
-  initSkillAnimations() {
-    // Animate skill badges with staggered effect
-    const skillBadges = document.querySelectorAll(".skill-badge");
-
-    const skillObserver = new IntersectionObserver((entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          const badges = entry.target.querySelectorAll(".skill-badge");
-          badges.forEach((badge, index) => {
-            setTimeout(() => {
-              badge.style.opacity = "1";
-              badge.style.transform = "translateY(0)";
-            }, index * 100);
-          });
-
-          skillObserver.unobserve(entry.target);
+  handleIntersections(entries) {
+    // Position of each element within its stagger container for this batch
+    const staggerIndexes = new Map();
+
+    entries.forEach((entry) => {
+      const element = entry.target;
+      const repeats = element.hasAttribute("data-animate-repeat");
+
+      if (!entry.isIntersecting) {
+        if (repeats && element.dataset.animateState === "in") {
+          this.reverse(element);
+        }
+        return;
+      }
+
+      const container = element.parentElement
+        ? element.parentElement.closest("[data-animate-stagger]")
+        : null;
+      let delay = Number(element.dataset.animateDelay) || 0;
+
+      if (container) {
+        const index = staggerIndexes.get(container) || 0;
+        staggerIndexes.set(container, index + 1);
+        delay += index * (Number(container.dataset.animateStagger) || 0);
+      }
+
+      this.run(element, { delay });
+
+      if (!repeats) {
+        this.scrollObserver.unobserve(element);
+        this.trackedElements.delete(element);
+      }
+    });
+  }
+
+  getMotionLevel() {
+    const accessibility = this.get("accessibility");
+    if (accessibility) {
+      return accessibility.getMotion();
+    }
+    return this.motionQuery.matches ? "reduced" : "full";
+  }
+
+  // "reduced" keeps fades but drops movement (scroll offsets, hover lift,
+  // ripple, parallax), "none" shows everything in its final state
+  setMotionLevel(level) {
+    this.motionLevel = level;
+    this.respectsReducedMotion = level !== "full";
+
+    // Hidden start states only apply while animations can reveal them
+    document.documentElement.classList.toggle(
+      "animations-enabled",
+      level !== "none"
+    );
+
+    if (this.respectsReducedMotion) {
+      document.querySelectorAll("[data-animate]").forEach((element) => {
+        const animation = this.animations.get(element);
+        if (animation) {
+          animation.finish();
         }
       });
-    }, this.observerOptions);
-
-    const skillsSection = document.querySelector(".skills");
-    if (skillsSection) {
-      // Initially hide skill badges
-      skillBadges.forEach((badge) => {
-        badge.style.opacity = "0";
-        badge.style.transform = "translateY(20px)";
-        badge.style.transition = "opacity 0.6s ease, transform 0.6s ease";
-      });
+    }
+  }
+
+  // Keyframes for data-animate presets
+  getKeyframes(preset) {
+    if (this.motionLevel === "reduced") {
+      return [{ opacity: 0 }, { opacity: 1 }];
+    }
+
+    const offsets = {
+      "fade-up": "translateY(30px)",
+      "slide-left": "translateX(-30px)",
+      "slide-right": "translateX(30px)",
+    };
+
+    return [
+      { opacity: 0, transform: offsets[preset] || offsets["fade-up"] },
+      { opacity: 1, transform: "none" },
+    ];
+  }
+
+  // Animate a [data-animate] element to its "in" or "out" state. The state
+  // attribute keeps the end result once the animation is released, so
+  // hover transforms are not overridden by a filling animation
+  run(element, options = {}) {
+    element.dataset.animateState = options.reverse ? "out" : "in";
+
+    return this.animate(element, element.dataset.animate, options);
+  }
+
+  // Play, reverse or replay a [data-animate] element on demand
+  play(element, options = {}) {
+    const repeats = element.hasAttribute("data-animate-repeat");
+
+    if (this.trackedElements.has(element) && !repeats) {
+      this.scrollObserver.unobserve(element);
+      this.trackedElements.delete(element);
+    }
+
+    return this.run(element, options);
+  }
+
+  reverse(element, options = {}) {
+    return this.run(element, { ...options, reverse: true });
+  }
 
-      skillObserver.observe(skillsSection);
+  replay(element, options = {}) {
+    const previous = this.animations.get(element);
+    if (previous) {
+      previous.cancel();
     }
+
+    return this.play(element, options);
+  }
+
+  // Low-level Web Animations helper, resolves when the animation ends.
+  // preset: a data-animate name, or keyframes such as a height change,
+  // which count as movement and are skipped at the "reduced" level
+  animate(
+    element,
+    preset,
+    { duration = 600, delay = 0, reverse = false } = {}
+  ) {
+    const previous = this.animations.get(element);
+    if (previous) {
+      previous.cancel();
+    }
+
+    const custom = Array.isArray(preset);
+    if (
+      this.motionLevel === "none" ||
+      (custom && this.motionLevel === "reduced") ||
+      typeof element.animate !== "function"
+    ) {
+      return Promise.resolve();
+    }
+
+    const keyframes = custom ? preset : this.getKeyframes(preset);
+    const animation = element.animate(keyframes, {
+      duration,
+      delay,
+      easing: "ease-out",
+      fill: "both",
+      direction: reverse ? "reverse" : "normal",
+    });
+    this.animations.set(element, animation);
+
+    return animation.finished
+      .then(() => {
+        animation.cancel();
+        if (this.animations.get(element) === animation) {
+          this.animations.delete(element);
+        }
+      })
+      .catch(() => {
+        // Cancelled by a newer animation on the same element
+      });
   }
 
   initHoverEffects() {
@@ -102,24 +277,27 @@ class AnimationManager {
     );
 
     interactiveElements.forEach((el) => {
-      el.addEventListener("mouseenter", () => {
+      if (this.enhancedElements.has(el)) return;
+
+      this.listen(el, "mouseenter", () => {
         if (!this.respectsReducedMotion) {
           el.style.transform = "translateY(-2px)";
         }
       });
 
-      el.addEventListener("mouseleave", () => {
-        if (!this.respectsReducedMotion) {
-          el.style.transform = "translateY(0)";
-        }
+      this.listen(el, "mouseleave", () => {
+        el.style.transform = "";
       });
     });
 
     // Add ripple effect to buttons
     const buttons = document.querySelectorAll(".btn");
     buttons.forEach((btn) => {
-      btn.addEventListener("click", this.createRippleEffect.bind(this));
+      if (this.enhancedElements.has(btn)) return;
+      this.listen(btn, "click", this.createRippleEffect.bind(this));
     });
+
+    interactiveElements.forEach((el) => this.enhancedElements.add(el));
   }
 
   createRippleEffect(e) {
@@ -154,163 +332,38 @@ class AnimationManager {
     }, 600);
   }
 
-  initSmoothScrolling() {
-    // Smooth scrolling for anchor links
-    const anchorLinks = document.querySelectorAll('a[href^="#"]');
-
-    anchorLinks.forEach((link) => {
-      link.addEventListener("click", (e) => {
-        const href = link.getAttribute("href");
-
-        if (href === "#") return;
-
-        const target = document.querySelector(href);
-        if (target) {
-          e.preventDefault();
-
-          const headerHeight =
-            document.querySelector(".header")?.offsetHeight || 0;
-          const targetPosition = target.offsetTop - headerHeight - 20;
-
-          window.scrollTo({
-            top: targetPosition,
-            behavior: "smooth",
-          });
-
-          // Update URL without jumping
-          history.pushState(null, null, href);
-
-          // Focus management for accessibility
-          target.setAttribute("tabindex", "-1");
-          target.focus();
-          target.addEventListener(
-            "blur",
-            () => {
-              target.removeAttribute("tabindex");
-            },
-            { once: true }
-          );
-        }
-      });
-    });
-  }
-
-  // Utility method to animate elements
-  animateElement(element, animation, duration = 300) {
-    if (this.respectsReducedMotion) return Promise.resolve();
-
-    return new Promise((resolve) => {
-      element.style.animation = `${animation} ${duration}ms ease-out`;
-
-      const handleAnimationEnd = () => {
-        element.style.animation = "";
-        element.removeEventListener("animationend", handleAnimationEnd);
-        resolve();
-      };
-
-      element.addEventListener("animationend", handleAnimationEnd);
-    });
-  }
-
   // Method to trigger entrance animations manually
-  triggerEntranceAnimation(selector) {
-    const elements = document.querySelectorAll(selector);
-    elements.forEach((el, index) => {
-      setTimeout(() => {
-        el.classList.add("fade-in");
-      }, index * 100);
+  triggerEntranceAnimation(selector, { stagger = 100 } = {}) {
+    document.querySelectorAll(selector).forEach((element, index) => {
+      this.animate(element, "fade-up", { delay: index * stagger });
     });
   }
 
-  // Parallax effect for hero section
+  // Parallax effect for hero section, on the shared scroll frame
   initParallaxEffect() {
-    if (this.respectsReducedMotion) return;
-
     const heroPhoto = document.querySelector(".hero__photo");
     if (!heroPhoto) return;
 
-    window.addEventListener("scroll", () => {
-      const scrolled = window.pageYOffset;
-      const rate = scrolled * -0.5;
-
-      heroPhoto.style.transform = `translateY(${rate}px) scale(1.05)`;
-    });
+    this.scheduler.subscribe(
+      ({ scrollY }) => {
+        heroPhoto.style.transform = this.respectsReducedMotion
+          ? ""
+          : `translateY(${scrollY * -0.5}px) scale(1.05)`;
+      },
+      { signal: this.signal }
+    );
   }
 
-  // Cleanup method
-  destroy() {
+  // Listeners and the parallax subscription go with the signal
+  unmount() {
     if (this.scrollObserver) {
       this.scrollObserver.disconnect();
     }
-  }
-}
 
-// CSS for animations (injected dynamically)
-const animationStyles = `
-    @keyframes ripple {
-        to {
-            transform: scale(4);
-            opacity: 0;
-        }
-    }
-    
-    @keyframes fadeInUp {
-        from {
-            opacity: 0;
-            transform: translateY(30px);
-        }
-        to {
-            opacity: 1;
-            transform: translateY(0);
-        }
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
     }
-    
-    @keyframes slideInLeft {
-        from {
-            opacity: 0;
-            transform: translateX(-30px);
-        }
-        to {
-            opacity: 1;
-            transform: translateX(0);
-        }
-    }
-    
-    @keyframes slideInRight {
-        from {
-            opacity: 0;
-            transform: translateX(30px);
-        }
-        to {
-            opacity: 1;
-            transform: translateX(0);
-        }
-    }
-    
-    .animate-in {
-        animation: fadeInUp 0.6s ease-out forwards;
-    }
-    
-    .animate-slide-left {
-        animation: slideInLeft 0.6s ease-out forwards;
-    }
-    
-    .animate-slide-right {
-        animation: slideInRight 0.6s ease-out forwards;
-    }
-`;
 
-// Inject animation styles
-const styleSheet = document.createElement("style");
-styleSheet.textContent = animationStyles;
-document.head.appendChild(styleSheet);
-
-// Auto-initialize when DOM is loaded
-document.addEventListener("DOMContentLoaded", () => {
-  window.animationManager = new AnimationManager();
-});
-
-// Export for module usage
-if (typeof module !== "undefined" && module.exports) {
-  module.exports = AnimationManager;
+    document.documentElement.classList.remove("animations-enabled");
+  }
 }
@@ -0,0 +1,89 @@
+/**
+ * Announcer Module
+ * One persistent pair of live regions (polite and assertive) for screen
+ * reader announcements. Regions exist from startup so assistive tech is
+ * already watching them; messages are queued per channel, read one at a
+ * time, and a message already queued or being read is not repeated.
+ */
+
+export class Announcer {
+  constructor({ delay = 100, interval = 1000 } = {}) {
+    // Empty the region first so repeating the last message is noticed
+    this.delay = delay;
+    // How long each message stays before the next one replaces it
+    this.interval = interval;
+
+    this.container = document.createElement("div");
+    this.container.className = "announcer";
+
+    this.channels = {};
+    Announcer.PRIORITIES.forEach((priority) => {
+      const region = document.createElement("div");
+      region.className = "sr-only";
+      region.setAttribute("aria-live", priority);
+      region.setAttribute("aria-atomic", "true");
+      region.dataset.announcer = priority;
+      this.container.appendChild(region);
+
+      this.channels[priority] = {
+        region,
+        queue: [],
+        current: null,
+        timer: null,
+      };
+    });
+
+    document.body.appendChild(this.container);
+  }
+
+  // priority: "polite" waits for the user to be idle, "assertive"
+  // interrupts (errors only)
+  announce(message, { priority = "polite" } = {}) {
+    const channel = this.channels[priority];
+    if (!message || !channel) return;
+
+    if (channel.current === message || channel.queue.includes(message)) {
+      return;
+    }
+
+    channel.queue.push(message);
+
+    if (channel.timer === null) {
+      this.next(channel);
+    }
+  }
+
+  next(channel) {
+    const message = channel.queue.shift();
+    channel.region.textContent = "";
+
+    if (message === undefined) {
+      channel.current = null;
+      channel.timer = null;
+      return;
+    }
+
+    channel.current = message;
+    channel.timer = setTimeout(() => {
+      channel.region.textContent = message;
+      channel.timer = setTimeout(() => this.next(channel), this.interval);
+    }, this.delay);
+  }
+
+  clear() {
+    Object.values(this.channels).forEach((channel) => {
+      clearTimeout(channel.timer);
+      channel.queue = [];
+      channel.current = null;
+      channel.timer = null;
+      channel.region.textContent = "";
+    });
+  }
+
+  destroy() {
+    this.clear();
+    this.container.remove();
+  }
+}
+
+Announcer.PRIORITIES = ["polite", "assertive"];
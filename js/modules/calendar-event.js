@@ -0,0 +1,120 @@
+/**
+ * Calendar Event Module
+ * Builds an iCalendar (RFC 5545) file with one event, used by the footer's
+ * "Agendar conversa" button: a 30-minute call with the person from the
+ * page's JSON-LD, on a suggested slot the visitor adjusts in their own
+ * calendar before sending the invite.
+ */
+
+import { VCard } from "./vcard.js";
+
+export class CalendarEvent {
+  constructor({
+    uid,
+    summary,
+    description,
+    start,
+    minutes,
+    attendee,
+    url,
+    stamp = new Date(),
+  }) {
+    this.uid = uid;
+    this.summary = summary;
+    this.description = description;
+    this.start = start;
+    this.minutes = minutes;
+    this.attendee = attendee;
+    this.url = url;
+    this.stamp = stamp;
+  }
+
+  // Map the JSON-LD Person (see ContentLoader#buildStructuredData); the
+  // texts come localized from the caller
+  static conversationWith(person, { summary, description, now = new Date() }) {
+    const host = person.url ? new URL(person.url).hostname : "localhost";
+
+    return new CalendarEvent({
+      uid: `${CalendarEvent.formatUtc(now)}-conversa@${host}`,
+      summary,
+      description,
+      start: CalendarEvent.nextSlot(now),
+      minutes: 30,
+      attendee: person.email && { name: person.name, email: person.email },
+      url: person.url,
+      stamp: now,
+    });
+  }
+
+  // 10:00 on the next weekday, in the visitor's time zone
+  static nextSlot(now) {
+    const slot = new Date(now);
+    slot.setHours(10, 0, 0, 0);
+
+    do {
+      slot.setDate(slot.getDate() + 1);
+    } while (slot.getDay() === 0 || slot.getDay() === 6);
+
+    return slot;
+  }
+
+  // Same folding and text escaping as vCard
+  toString() {
+    const properties = [
+      `UID:${this.uid}`,
+      `DTSTAMP:${CalendarEvent.formatUtc(this.stamp)}`,
+      // Floating time: 10:00 wherever the calendar is opened
+      `DTSTART:${CalendarEvent.formatLocal(this.start)}`,
+      `DURATION:PT${this.minutes}M`,
+      `SUMMARY:${VCard.escape(this.summary)}`,
+    ];
+
+    if (this.description) {
+      properties.push(`DESCRIPTION:${VCard.escape(this.description)}`);
+    }
+    if (this.attendee) {
+      const { name, email } = this.attendee;
+      properties.push(`ATTENDEE;CN="${name}":mailto:${email}`);
+    }
+    if (this.url) {
+      properties.push(`URL:${this.url}`);
+    }
+
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//sandrojr26//Portfolio//PT-BR",
+      "CALSCALE:GREGORIAN",
+      "BEGIN:VEVENT",
+      ...properties.map((property) => VCard.fold(property)),
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ];
+
+    return `${lines.join("\r\n")}\r\n`;
+  }
+
+  toBlob() {
+    return new Blob([this.toString()], { type: "text/calendar;charset=utf-8" });
+  }
+
+  // 2026-10-19T13:05:00Z -> "20261019T130500Z"
+  static formatUtc(date) {
+    return `${date.toISOString().slice(0, 19).replace(/[-:]/g, "")}Z`;
+  }
+
+  // Local wall-clock time, no zone
+  static formatLocal(date) {
+    const pad = (value) => String(value).padStart(2, "0");
+
+    return (
+      `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+      `T${pad(date.getHours())}${pad(date.getMinutes())}00`
+    );
+  }
+
+  // "Sandro Júnior" -> "conversa-sandro-junior.ics"
+  static getFileName(name) {
+    return `conversa-${VCard.getFileName(name).replace(/\.vcf$/, ".ics")}`;
+  }
+}
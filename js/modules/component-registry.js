@@ -0,0 +1,131 @@
+/**
+ * Component Registry
+ * Creates, mounts and unmounts the page components in a defined order.
+ * Each component is constructed with a context holding the shared services
+ * (bus, i18n, errors, scheduler, app), `get(name)` for other components
+ * and its own AbortSignal:
+ *
+ *   registry.register("projects", ProjectsComponent, { deps: ["navbar"] });
+ *   registry.mountAll();
+ *
+ * Components may define `mount()` and `unmount()`. Listeners added with
+ * `context.listen(target, type, handler)` (DOM targets or the event bus)
+ * and anything else tied to `context.signal` are removed on unmount.
+ */
+
+export class ComponentRegistry {
+  constructor({ services = {}, errors = null } = {}) {
+    this.services = services;
+    this.errors = errors;
+    this.definitions = new Map();
+    this.instances = new Map();
+    this.controllers = new Map();
+  }
+
+  // deps are mounted first; silent failures don't show a notification
+  register(name, Component, { deps = [], silent = false } = {}) {
+    this.definitions.set(name, { Component, deps, silent });
+    return this;
+  }
+
+  // Registration order, moved only as far as dependencies require
+  getOrder() {
+    const order = [];
+    const visiting = new Set();
+
+    const visit = (name) => {
+      if (order.includes(name)) return;
+      if (visiting.has(name)) {
+        throw new Error(`Circular component dependency: ${name}`);
+      }
+
+      const definition = this.definitions.get(name);
+      if (!definition) {
+        throw new Error(`Unknown component: ${name}`);
+      }
+
+      visiting.add(name);
+      definition.deps.forEach(visit);
+      visiting.delete(name);
+      order.push(name);
+    };
+
+    this.definitions.forEach((definition, name) => visit(name));
+    return order;
+  }
+
+  mountAll() {
+    this.getOrder().forEach((name) => this.mount(name));
+  }
+
+  mount(name) {
+    if (this.instances.has(name)) return this.instances.get(name);
+
+    const { Component, silent } = this.definitions.get(name);
+    const controller = new AbortController();
+    const { signal } = controller;
+    const context = {
+      ...this.services,
+      name,
+      signal,
+      get: (other) => this.get(other),
+      listen: (target, type, handler, options = {}) => {
+        if (typeof target.addEventListener !== "function") {
+          return target.on(type, handler, { signal });
+        }
+        target.addEventListener(type, handler, { ...options, signal });
+      },
+    };
+
+    const create = () => {
+      const instance = new Component(context);
+      if (typeof instance.mount === "function") {
+        instance.mount();
+      }
+      return instance;
+    };
+
+    const instance = this.errors
+      ? this.errors.guard(name, create, { silent })
+      : create();
+
+    if (!instance) {
+      // Drop whatever the failed mount managed to attach
+      controller.abort();
+      return null;
+    }
+
+    this.instances.set(name, instance);
+    this.controllers.set(name, controller);
+    return instance;
+  }
+
+  unmount(name) {
+    const instance = this.instances.get(name);
+    if (!instance) return;
+
+    try {
+      if (typeof instance.unmount === "function") {
+        instance.unmount();
+      }
+    } finally {
+      this.controllers.get(name).abort();
+      this.instances.delete(name);
+      this.controllers.delete(name);
+    }
+  }
+
+  unmountAll() {
+    this.getOrder()
+      .reverse()
+      .forEach((name) => this.unmount(name));
+  }
+
+  get(name) {
+    return this.instances.get(name) || null;
+  }
+
+  has(name) {
+    return this.instances.has(name);
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Consent Module
+ * Stores the visitor's privacy choices (essential, analytics, external fonts)
+ * with a version stamp and lets other modules query or subscribe to them
+ */
+
+export class ConsentManager {
+  constructor({ bus, i18n, app, listen, get }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.app = app;
+    this.listen = listen;
+    this.get = get;
+    this.storageKey = "consent";
+    this.banner = document.querySelector(".consent-banner");
+    this.dialog = document.getElementById("consent-dialog");
+    this.lastFocused = null;
+    this.releaseFocusTrap = null;
+    this.choices = this.getStoredChoices();
+  }
+
+  mount() {
+    // Ask until the visitor decides (or the categories change)
+    if (this.banner) {
+      this.banner.hidden = this.hasDecided();
+
+      this.listen(this.banner, "click", (e) => {
+        const button = e.target.closest("[data-consent-action]");
+        if (!button) return;
+
+        switch (button.dataset.consentAction) {
+          case "accept":
+            this.acceptAll();
+            break;
+          case "reject":
+            this.rejectAll();
+            break;
+          case "customize":
+            this.openPreferences();
+            break;
+        }
+      });
+    }
+
+    this.listen(document, "click", (e) => {
+      if (e.target.closest("[data-consent-open]")) {
+        this.openPreferences();
+      }
+    });
+
+    if (this.dialog) {
+      this.listen(this.dialog, "click", (e) => {
+        if (e.target.closest("[data-consent-close]")) {
+          this.closePreferences();
+        }
+      });
+
+      this.listen(this.dialog, "keydown", (e) => {
+        if (e.key === "Escape") {
+          this.closePreferences();
+        }
+      });
+
+      this.listen(this.dialog.querySelector("form"), "submit", (e) => {
+        e.preventDefault();
+        this.savePreferences();
+      });
+    }
+  }
+
+  // Stored choices from an older version are ignored so we ask again
+  getStoredChoices() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      if (!stored || stored.version !== ConsentManager.VERSION) return null;
+
+      return this.normalize(stored.choices);
+    } catch (error) {
+      console.warn("Could not read consent preferences:", error);
+      return null;
+    }
+  }
+
+  storeChoices(choices) {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          version: ConsentManager.VERSION,
+          updatedAt: new Date().toISOString(),
+          choices,
+        })
+      );
+    } catch (error) {
+      console.warn("Could not store consent preferences:", error);
+    }
+  }
+
+  normalize(choices = {}) {
+    return Object.fromEntries(
+      ConsentManager.CATEGORIES.map((category) => [
+        category,
+        category === "essential" || choices[category] === true,
+      ])
+    );
+  }
+
+  update(choices) {
+    this.choices = this.normalize(choices);
+    this.storeChoices(this.choices);
+
+    if (this.banner) {
+      this.banner.hidden = true;
+    }
+
+    // Notify other components
+    this.bus.emit("consentChanged", { choices: this.getChoices() });
+  }
+
+  acceptAll() {
+    this.update({ analytics: true, fonts: true });
+  }
+
+  rejectAll() {
+    this.update({});
+  }
+
+  // Preferences dialog
+  openPreferences() {
+    if (!this.dialog || !this.dialog.hidden) return;
+
+    const choices = this.choices || this.normalize();
+    this.dialog.querySelectorAll(".consent-option__input").forEach((input) => {
+      input.checked = choices[input.name];
+    });
+
+    this.lastFocused = document.activeElement;
+    this.dialog.hidden = false;
+    document.body.classList.add("dialog-open");
+
+    const navbar = this.get("navbar");
+    if (navbar) {
+      this.releaseFocusTrap = navbar.trapFocus(
+        this.dialog.querySelector(".consent-dialog__panel")
+      );
+    }
+  }
+
+  closePreferences() {
+    if (!this.dialog || this.dialog.hidden) return;
+
+    this.dialog.hidden = true;
+    document.body.classList.remove("dialog-open");
+
+    if (this.releaseFocusTrap) {
+      this.releaseFocusTrap();
+      this.releaseFocusTrap = null;
+    }
+
+    if (this.lastFocused && document.body.contains(this.lastFocused)) {
+      this.lastFocused.focus();
+    }
+  }
+
+  savePreferences() {
+    const choices = {};
+    this.dialog.querySelectorAll(".consent-option__input").forEach((input) => {
+      choices[input.name] = input.checked;
+    });
+
+    this.update(choices);
+    this.closePreferences();
+
+    this.app.showNotification(this.i18n.t("consent.saved"), "success");
+  }
+
+  // Public API for other modules
+  hasDecided() {
+    return this.choices !== null;
+  }
+
+  has(category) {
+    if (category === "essential") return true;
+    return Boolean(this.choices && this.choices[category]);
+  }
+
+  getChoices() {
+    return this.choices ? { ...this.choices } : null;
+  }
+
+  unmount() {
+    this.closePreferences();
+  }
+
+  // Subscribe to consent changes; returns an unsubscribe function
+  onChange(callback) {
+    return this.bus.on("consentChanged", ({ choices }) => callback(choices));
+  }
+}
+
+// Bump when categories change so visitors are asked again
+ConsentManager.VERSION = 1;
+ConsentManager.CATEGORIES = ["essential", "analytics", "fonts"];
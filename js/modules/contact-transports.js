@@ -0,0 +1,98 @@
+/**
+ * Contact Transports Module
+ * Pluggable backends used by the contact form to deliver a message.
+ * Every transport exposes `send(payload)` and resolves with
+ * { status: "sent" | "handoff" } or rejects with an Error.
+ */
+
+// POSTs JSON to a Formspree/Getform-style endpoint
+export class EndpointTransport {
+  constructor(endpoint) {
+    this.name = "endpoint";
+    this.endpoint = endpoint;
+  }
+
+  async send(payload) {
+    const response = await fetch(this.endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `Contact endpoint responded ${response.status} ${response.statusText}`
+      );
+    }
+
+    return { status: "sent" };
+  }
+}
+
+// Hands the message to the visitor's e-mail client
+export class MailtoTransport {
+  constructor(address, { i18n }) {
+    this.name = "mailto";
+    this.address = address;
+    this.i18n = i18n;
+  }
+
+  async send(payload) {
+    const params = new URLSearchParams({
+      subject: this.i18n.t("contactForm.mailSubject", {
+        name: payload.name,
+      }),
+      body: `${payload.message}\n\n${payload.name} <${payload.email}>`,
+    });
+
+    // URLSearchParams encodes spaces as "+", which mail clients show literally
+    window.location.href = `mailto:${this.address}?${params
+      .toString()
+      .replace(/\+/g, "%20")}`;
+
+    return { status: "handoff" };
+  }
+}
+
+// Local stand-in for development: resolves after a short delay and fails
+// when the message contains "[falha]" so the error path can be exercised
+export class MockTransport {
+  constructor(delay = 800) {
+    this.name = "mock";
+    this.delay = delay;
+  }
+
+  send(payload) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (payload.message.includes("[falha]")) {
+          reject(new Error("Mock transport failure"));
+        } else {
+          resolve({ status: "sent" });
+        }
+      }, this.delay);
+    });
+  }
+}
+
+// Pick a transport from the form's data attributes:
+//   data-transport="endpoint|mailto|mock" data-endpoint="..." data-mailto="..."
+export function createContactTransport({
+  transport,
+  endpoint,
+  mailto,
+  i18n,
+} = {}) {
+  if (transport === "mock") {
+    return new MockTransport();
+  }
+
+  if ((transport === "endpoint" || !transport) && endpoint) {
+    return new EndpointTransport(endpoint);
+  }
+
+  return new MailtoTransport(mailto, { i18n });
+}
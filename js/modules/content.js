@@ -0,0 +1,356 @@
+/**
+ * Content Module
+ * Loads portfolio.json and renders skills, courses, projects and contact
+ * links from the <template> elements in index.html
+ */
+
+export class ContentLoader {
+  constructor({ bus, i18n, app, listen, source = "portfolio.json" }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.app = app;
+    this.listen = listen;
+    this.source = source;
+    this.data = null;
+  }
+
+  mount() {
+    // Localized fields are re-rendered when the language changes
+    this.listen(this.bus, "localeChanged", () => {
+      if (this.data) {
+        this.update();
+      }
+    });
+
+    this.load().catch((error) => {
+      this.app.handleError(error, { module: "content", notify: true });
+    });
+  }
+
+  async load() {
+    const response = await fetch(this.source);
+
+    if (!response.ok) {
+      throw new Error(
+        `Could not load ${this.source}: ${response.status} ${response.statusText}`
+      );
+    }
+
+    this.data = await response.json();
+    this.update();
+
+    return this.data;
+  }
+
+  update() {
+    this.render(this.data);
+
+    // Let other components react to the freshly rendered markup
+    this.bus.emit("contentLoaded", { data: this.data });
+  }
+
+  render(data) {
+    this.renderSkills(data);
+    this.renderEducation(data);
+    this.renderCourses(data);
+    this.renderLanguages(data);
+    this.renderProjects(data);
+    this.renderContactLinks(data);
+    this.updateStructuredData(data);
+  }
+
+  renderSkills(data) {
+    const container = document.querySelector(".skills");
+    if (!container) return;
+
+    container.replaceChildren(
+      ...data.skills.map((group) => {
+        const category = this.cloneTemplate("skills-category-template");
+        category.dataset.category = group.id;
+        category.querySelector(".skills__category-title").textContent =
+          this.localize(group.category);
+        category
+          .querySelector(".skills__grid")
+          .append(...group.items.map((skill) => this.createSkillBadge(skill, data)));
+        return category;
+      })
+    );
+  }
+
+  createSkillBadge(skill, data) {
+    const badge = this.cloneTemplate("skill-badge-template");
+    const level = this.getSkillLevel(skill.level, data);
+    const label = this.localize(data.skillLevels[level].label);
+    const max = data.skillScale;
+
+    badge.classList.add(`skill-badge--${skill.id}`);
+    badge.dataset.skill = skill.id;
+    badge.dataset.level = level;
+    badge.dataset.value = skill.level;
+
+    this.setIcon(badge.querySelector(".skill-badge__icon use"), skill.id);
+    const name = badge.querySelector(".skill-badge__name");
+    name.id = `skill-${skill.id}`;
+    name.textContent = skill.name;
+    badge.querySelector(".skill-badge__level").textContent = label;
+
+    // "Proficiente: 4 de 5" instead of a bare percentage
+    const meter = badge.querySelector(".skill-badge__meter");
+    meter.setAttribute("aria-labelledby", name.id);
+    meter.setAttribute("aria-valuemax", max);
+    meter.setAttribute("aria-valuenow", skill.level);
+    meter.setAttribute(
+      "aria-valuetext",
+      this.t("skills.meter", { level: label, value: skill.level, max })
+    );
+    meter.style.setProperty("--skill-value", `${(skill.level / max) * 100}%`);
+
+    return badge;
+  }
+
+  // The highest band whose minimum the numeric level reaches; a level
+  // below every minimum (e.g. 0 while just starting) gets the lowest band
+  getSkillLevel(value, data) {
+    const bands = Object.entries(data.skillLevels).sort(
+      ([, a], [, b]) => a.min - b.min
+    );
+    const reached = bands.filter(([, band]) => value >= band.min);
+    return (reached.length > 0 ? reached[reached.length - 1] : bands[0])[0];
+  }
+
+  renderEducation(data) {
+    const container = document.querySelector(".education");
+    if (!container) return;
+
+    container.replaceChildren(
+      ...data.education.map((entry) => {
+        const item = this.cloneTemplate("education-item-template");
+        item.querySelector(".education-item__title").textContent =
+          this.localize(entry.title);
+        item.querySelector(".education-item__year").textContent = entry.year;
+        return item;
+      })
+    );
+  }
+
+  renderCourses(data) {
+    const container = document.querySelector(".courses");
+    if (!container) return;
+
+    container.replaceChildren(
+      ...data.courses.map((course) => {
+        const item = this.cloneTemplate("course-item-template");
+        // Anchor for the skill cross-links (#curso-html-css-iniciantes)
+        item.id = `curso-${course.id}`;
+        item.dataset.course = course.id;
+        item.querySelector(".course-item__title").textContent = course.title;
+        item.querySelector(".course-item__description").textContent =
+          this.localize(course.description);
+        item.querySelector(".course-item__duration").textContent = this.t(
+          "courses.hours",
+          { count: course.hours }
+        );
+
+        const date = item.querySelector(".course-item__date");
+        date.textContent = this.formatMonth(course.date);
+        date.dateTime = course.date;
+
+        // Opened in a lightbox by CoursesComponent
+        const certificate = item.querySelector(".course-item__certificate");
+        certificate.hidden = !course.certificate;
+        certificate.setAttribute(
+          "aria-label",
+          this.t("courses.certificateLabel", { course: course.title })
+        );
+
+        return item;
+      })
+    );
+  }
+
+  renderLanguages(data) {
+    const container = document.querySelector(".languages");
+    if (!container) return;
+
+    container.replaceChildren(
+      ...data.languages.map((language) => {
+        const item = this.cloneTemplate("language-item-template");
+        item.querySelector(".language-item__name").textContent =
+          `${this.localize(language.name)} / ${this.localize(language.level)}`;
+        return item;
+      })
+    );
+  }
+
+  renderProjects(data) {
+    const container = document.querySelector(".projects__grid");
+    if (!container) return;
+
+    container.replaceChildren(
+      ...data.projects.map((project) => {
+        const card = this.cloneTemplate("project-card-template");
+        card.dataset.project = project.id;
+        card.dataset.category = project.category;
+
+        const badge = card.querySelector(".project-card__badge");
+        badge.textContent =
+          this.localize(data.projectCategories[project.category]) ||
+          project.category;
+        if (project.category !== "design") {
+          badge.classList.add(`project-card__badge--${project.category}`);
+        }
+
+        card.querySelector(".project-card__title").textContent = project.title;
+        card.querySelector(".project-card__description").textContent =
+          this.localize(project.description);
+
+        return card;
+      })
+    );
+  }
+
+  renderContactLinks(data) {
+    const container = document.querySelector(".contact-links");
+    if (!container) return;
+
+    container.replaceChildren(
+      ...data.contact.map((contact) => {
+        const item = this.cloneTemplate("contact-link-template");
+        const link = item.querySelector(".contact-link");
+        link.href = contact.href;
+        link.dataset.contact = contact.type;
+        link.setAttribute("aria-label", this.localize(contact.ariaLabel));
+
+        if (contact.external) {
+          link.target = "_blank";
+          link.rel = "noopener noreferrer";
+        }
+
+        this.setIcon(link.querySelector(".contact-link__icon use"), contact.type);
+        link.querySelector(".contact-link__label").textContent = contact.label;
+
+        // Address without the mailto:/tel: scheme, copied by ContactCard
+        const copy = item.querySelector(".contact-item__copy");
+        copy.dataset.copy = contact.href.replace(/^(mailto|tel):/, "");
+        copy.setAttribute(
+          "aria-label",
+          this.t("contactCard.copy", { label: contact.label })
+        );
+
+        return item;
+      })
+    );
+  }
+
+  updateStructuredData(data) {
+    let script = document.querySelector('script[type="application/ld+json"]');
+
+    if (!script) {
+      script = document.createElement("script");
+      script.type = "application/ld+json";
+      document.head.appendChild(script);
+    }
+
+    script.textContent = JSON.stringify(this.buildStructuredData(data), null, 2);
+  }
+
+  buildStructuredData(data) {
+    const { profile } = data;
+    const skills = data.skills.flatMap((group) =>
+      group.items.map((skill) => skill.schemaName || skill.name)
+    );
+
+    return {
+      "@context": "https://schema.org",
+      "@type": "Person",
+      name: profile.name,
+      givenName: profile.givenName,
+      familyName: profile.familyName,
+      jobTitle: this.localize(profile.jobTitle),
+      description: this.localize(profile.description),
+      url: profile.url,
+      image: profile.image,
+      address: {
+        "@type": "PostalAddress",
+        addressLocality: profile.address.locality,
+        addressRegion: profile.address.region,
+        addressCountry: profile.address.country,
+      },
+      email: profile.email,
+      telephone: profile.telephone,
+      sameAs: data.contact
+        .filter((contact) => contact.external)
+        .map((contact) => contact.href),
+      knowsAbout: [...skills, ...(profile.knowsAbout || [])],
+      knowsLanguage: data.languages.map((language) => language.code),
+      alumniOf: data.education.map((entry) => ({
+        "@type": "EducationalOrganization",
+        name: entry.organization,
+      })),
+      hasCredential: data.courses.map((course) => this.buildCredential(course)),
+    };
+  }
+
+  // One credential per course, with the certificate when there is one.
+  // Missing values are left out rather than written as undefined
+  buildCredential(course) {
+    const { certificate = {} } = course;
+
+    const credential = {
+      "@type": "EducationalOccupationalCredential",
+      identifier: course.id,
+      name: course.title,
+      description: this.localize(course.description),
+      credentialCategory: "certificate",
+      educationalLevel: "beginner",
+      dateCreated: course.date,
+      timeRequired: `PT${course.hours}H`,
+      url: certificate.url,
+      image: certificate.image,
+    };
+
+    return Object.fromEntries(
+      Object.entries(credential).filter(([, value]) => value !== undefined)
+    );
+  }
+
+  // Utility methods
+  localize(value) {
+    return this.i18n.localize(value);
+  }
+
+  t(key, params) {
+    return this.i18n.t(key, params);
+  }
+
+  cloneTemplate(id) {
+    const template = document.getElementById(id);
+
+    if (!template) {
+      throw new Error(`Template #${id} not found`);
+    }
+
+    const element = template.content.firstElementChild.cloneNode(true);
+
+    // Templates carry data-i18n labels too (e.g. "Ver Projeto")
+    this.i18n.translatePage(element);
+
+    return element;
+  }
+
+  setIcon(use, name) {
+    if (use) {
+      use.setAttribute("href", `#icon-${name}`);
+    }
+  }
+
+  formatMonth(value) {
+    // "2022-10" -> "10/2022"
+    const [year, month] = String(value).split("-");
+    return month ? `${month}/${year}` : year;
+  }
+
+  getData() {
+    return this.data;
+  }
+}
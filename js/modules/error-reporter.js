@@ -0,0 +1,205 @@
+/**
+ * Error Reporting Module
+ * Captures window errors and unhandled rejections with context, dedupes
+ * and rate-limits them, buffers them while offline and sends them to
+ * <meta name="errors:endpoint">. Also provides the isolation boundary
+ * every module initializes in (see `guard`).
+ */
+
+export class ErrorReporter {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint ?? this.readEndpoint();
+    this.storageKey = "errorReports";
+    this.maxBuffered = 25;
+    this.rateLimit = { max: 10, interval: 60000 };
+    this.sentAt = [];
+    this.seen = new Map();
+    this.notified = new Set();
+    this.isFlushing = false;
+    this.app = null;
+
+    this.init();
+  }
+
+  init() {
+    window.addEventListener("error", (e) => {
+      // Cross-origin scripts only report "Script error." without details
+      if (!e.error && e.message === "Script error.") return;
+
+      this.capture(e.error || new Error(e.message), {
+        module: this.guessModule(e.filename),
+      });
+    });
+
+    window.addEventListener("unhandledrejection", (e) => {
+      this.capture(e.reason, { module: "promise" });
+    });
+
+    // Retry whatever was buffered while offline
+    window.addEventListener("online", () => this.flush());
+    this.flush();
+  }
+
+  // Notifications and route context come from the app once it exists
+  attach(app) {
+    this.app = app;
+  }
+
+  readEndpoint() {
+    const meta = document.querySelector('meta[name="errors:endpoint"]');
+    return meta ? meta.getAttribute("content") : "";
+  }
+
+  // Initialize a module so a crash only disables that feature:
+  //   errorReporter.guard("theme", () => new ThemeManager())
+  guard(module, factory, { silent = false } = {}) {
+    try {
+      return factory();
+    } catch (error) {
+      this.capture(error, { module });
+      if (!silent) {
+        this.notifyFailure(module);
+      }
+      return null;
+    }
+  }
+
+  notifyFailure(module) {
+    const { app } = this;
+
+    // One notice per feature is enough
+    if (this.notified.has(module) || !app) return;
+    this.notified.add(module);
+
+    const message = app.i18n
+      ? app.i18n.t("errors.moduleFailed", {
+          feature: app.i18n.t(`errors.features.${module}`),
+        })
+      : "Parte da página não pôde ser carregada.";
+
+    app.showNotification(message, "error");
+  }
+
+  capture(error, context = {}) {
+    try {
+      const report = this.buildReport(error, context);
+      console.error(`Error in ${report.module}:`, error);
+
+      // Same error again: count it but don't send it twice
+      const count = (this.seen.get(report.fingerprint) || 0) + 1;
+      this.seen.set(report.fingerprint, count);
+      if (count > 1) return;
+
+      if (!this.endpoint || this.isRateLimited()) return;
+
+      this.buffer(report);
+      this.flush();
+    } catch (reporterError) {
+      console.error("Error reporter failed:", reporterError);
+    }
+  }
+
+  buildReport(error, { module = "unknown" } = {}) {
+    const normalized =
+      error instanceof Error ? error : new Error(String(error));
+    const router = this.app && this.app.getComponent("router");
+    const route = router && router.getCurrentRoute();
+    const stack = normalized.stack || "";
+
+    return {
+      name: normalized.name,
+      message: normalized.message,
+      stack: stack.split("\n").slice(0, 10).join("\n"),
+      module,
+      fingerprint: [
+        module,
+        normalized.name,
+        normalized.message,
+        stack.split("\n")[1] || "",
+      ].join("|"),
+      url: window.location.href,
+      route: route ? route.path : "",
+      theme: document.documentElement.getAttribute("data-theme"),
+      locale: document.documentElement.lang,
+      userAgent: navigator.userAgent,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // "https://.../js/components/navbar.js" -> "navbar"
+  guessModule(filename = "") {
+    const match = filename.match(
+      /\/js\/(?:modules|components)\/([\w-]+)\.js/
+    );
+    return match ? match[1] : "global";
+  }
+
+  isRateLimited() {
+    const now = Date.now();
+    this.sentAt = this.sentAt.filter(
+      (time) => now - time < this.rateLimit.interval
+    );
+
+    if (this.sentAt.length >= this.rateLimit.max) return true;
+
+    this.sentAt.push(now);
+    return false;
+  }
+
+  // Offline buffer
+  getBuffered() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  setBuffered(reports) {
+    try {
+      if (reports.length > 0) {
+        localStorage.setItem(
+          this.storageKey,
+          JSON.stringify(reports.slice(-this.maxBuffered))
+        );
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      console.warn("Could not buffer error reports:", error);
+    }
+  }
+
+  buffer(report) {
+    this.setBuffered([...this.getBuffered(), report]);
+  }
+
+  async flush() {
+    if (!this.endpoint || !navigator.onLine || this.isFlushing) return;
+
+    const reports = this.getBuffered();
+    if (reports.length === 0) return;
+
+    this.isFlushing = true;
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reports }),
+        keepalive: true,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Error endpoint responded ${response.status}`);
+      }
+
+      // Keep anything captured while the request was in flight
+      this.setBuffered(this.getBuffered().slice(reports.length));
+    } catch (error) {
+      console.warn("Could not send error reports, keeping them:", error);
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+}
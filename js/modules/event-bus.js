@@ -0,0 +1,69 @@
+/**
+ * Event Bus
+ * App-level publish/subscribe for cross-component events (themeChanged,
+ * localeChanged, routeChanged, contentLoaded, consentChanged...). Handlers
+ * receive the event detail and can be removed with the returned function
+ * or an AbortSignal; a throwing handler is reported without stopping the
+ * others.
+ */
+
+export class EventBus {
+  constructor({ errors = null } = {}) {
+    this.errors = errors;
+    this.handlers = new Map();
+  }
+
+  on(type, handler, { signal } = {}) {
+    if (signal && signal.aborted) return () => {};
+
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+
+    const off = () => this.off(type, handler);
+    if (signal) {
+      signal.addEventListener("abort", off, { once: true });
+    }
+
+    return off;
+  }
+
+  once(type, handler, options) {
+    const off = this.on(
+      type,
+      (detail) => {
+        off();
+        handler(detail);
+      },
+      options
+    );
+
+    return off;
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  emit(type, detail = {}) {
+    const handlers = this.handlers.get(type);
+    if (!handlers) return;
+
+    // Copy so handlers can unsubscribe while the event is delivered
+    Array.from(handlers).forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        if (this.errors) {
+          this.errors.capture(error, { module: `event:${type}` });
+        } else {
+          console.error(`Error in ${type} handler:`, error);
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Internationalization Module
+ * Handles locale detection, message catalogs and page translation
+ * with localStorage persistence. Created by PortfolioApp as a shared
+ * service and announces changes on the event bus.
+ */
+
+export class I18nManager {
+  constructor({ bus = null } = {}) {
+    this.bus = bus;
+    this.defaultLocale = "pt-BR";
+    this.supportedLocales = Object.keys(I18nManager.catalogs);
+    this.localeToggle = document.getElementById("locale-toggle");
+    this.currentLocale = this.getStoredLocale() || this.detectLocale();
+
+    this.init();
+  }
+
+  init() {
+    // Apply initial locale without announcing it
+    this.applyLocale(this.currentLocale, { persist: false });
+
+    if (this.localeToggle) {
+      this.localeToggle.addEventListener("click", () => this.toggleLocale());
+    }
+  }
+
+  // Catalogs live in js/locales/ and register themselves here
+  static registerCatalog(locale, messages) {
+    I18nManager.catalogs[locale] = messages;
+  }
+
+  detectLocale() {
+    const preferred = navigator.languages || [navigator.language];
+
+    for (const language of preferred) {
+      if (!language) continue;
+
+      const exact = this.supportedLocales.find(
+        (locale) => locale.toLowerCase() === language.toLowerCase()
+      );
+      if (exact) return exact;
+
+      const prefix = language.split("-")[0].toLowerCase();
+      const partial = this.supportedLocales.find((locale) =>
+        locale.toLowerCase().startsWith(`${prefix}-`)
+      );
+      if (partial) return partial;
+    }
+
+    return this.defaultLocale;
+  }
+
+  getStoredLocale() {
+    try {
+      const locale = localStorage.getItem("locale");
+      return this.supportedLocales.includes(locale) ? locale : null;
+    } catch (error) {
+      console.warn("localStorage not available:", error);
+      return null;
+    }
+  }
+
+  storeLocale(locale) {
+    try {
+      localStorage.setItem("locale", locale);
+    } catch (error) {
+      console.warn("Could not store locale preference:", error);
+    }
+  }
+
+  applyLocale(locale, { persist = true } = {}) {
+    this.currentLocale = locale;
+    document.documentElement.setAttribute("lang", locale);
+
+    if (persist) {
+      this.storeLocale(locale);
+    }
+
+    this.translatePage();
+    this.updateMetaTags();
+    this.updateToggle();
+
+    // Notify other components
+    if (this.bus) {
+      this.bus.emit("localeChanged", { locale });
+    }
+  }
+
+  // Translate static markup:
+  //   data-i18n="nav.contact"                    -> textContent
+  //   data-i18n-attr="aria-label:a11y.mainNav"   -> attributes (";"-separated)
+  translatePage(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+
+    root.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+      el.dataset.i18nAttr.split(";").forEach((pair) => {
+        const [attribute, key] = pair.split(":").map((part) => part.trim());
+        if (attribute && key) {
+          el.setAttribute(attribute, this.t(key));
+        }
+      });
+    });
+  }
+
+  updateMetaTags() {
+    document.title = this.t("meta.title");
+
+    const tags = {
+      'meta[name="description"]': "meta.description",
+      'meta[property="og:title"]': "meta.shareTitle",
+      'meta[property="og:description"]': "meta.shareDescription",
+      'meta[name="twitter:title"]': "meta.shareTitle",
+      'meta[name="twitter:description"]': "meta.shareDescription",
+    };
+
+    Object.entries(tags).forEach(([selector, key]) => {
+      const meta = document.querySelector(selector);
+      if (meta) {
+        meta.setAttribute("content", this.t(key));
+      }
+    });
+
+    let ogLocale = document.querySelector('meta[property="og:locale"]');
+    if (!ogLocale) {
+      ogLocale = document.createElement("meta");
+      ogLocale.setAttribute("property", "og:locale");
+      document.head.appendChild(ogLocale);
+    }
+    ogLocale.setAttribute("content", this.currentLocale.replace("-", "_"));
+  }
+
+  updateToggle() {
+    if (!this.localeToggle) return;
+
+    const next = this.getNextLocale();
+    this.localeToggle.textContent = next.split("-")[0].toUpperCase();
+    this.localeToggle.setAttribute(
+      "aria-label",
+      this.t("locale.switchTo", { language: this.t(`locale.names.${next}`) })
+    );
+    this.localeToggle.setAttribute("lang", this.currentLocale);
+  }
+
+  getNextLocale() {
+    const index = this.supportedLocales.indexOf(this.currentLocale);
+    return this.supportedLocales[(index + 1) % this.supportedLocales.length];
+  }
+
+  toggleLocale() {
+    this.applyLocale(this.getNextLocale());
+  }
+
+  // Look up a message by dotted key and interpolate {placeholders}.
+  // Messages with "one"/"other" forms are chosen by params.count.
+  t(key, params = {}) {
+    let message =
+      this.lookup(this.currentLocale, key) ??
+      this.lookup(this.defaultLocale, key);
+
+    if (message === undefined) {
+      console.warn("Missing translation:", key);
+      return key;
+    }
+
+    if (typeof message === "object" && "count" in params) {
+      const rule = new Intl.PluralRules(this.currentLocale).select(
+        params.count
+      );
+      message = message[rule] ?? message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+      name in params ? params[name] : match
+    );
+  }
+
+  lookup(locale, key) {
+    return key
+      .split(".")
+      .reduce(
+        (node, part) => (node == null ? undefined : node[part]),
+        I18nManager.catalogs[locale]
+      );
+  }
+
+  // Pick the current locale from a { "pt-BR": ..., "en-US": ... } value
+  localize(value) {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      return value[this.currentLocale] ?? value[this.defaultLocale];
+    }
+    return value;
+  }
+
+  getCurrentLocale() {
+    return this.currentLocale;
+  }
+
+  setLocale(locale) {
+    if (this.supportedLocales.includes(locale)) {
+      this.applyLocale(locale);
+    }
+  }
+}
+
+I18nManager.catalogs = {};
@@ -0,0 +1,205 @@
+/**
+ * Print Module
+ * "Baixar currículo" action: prepares the page for css/layouts/print.css,
+ * opens the browser's print dialog (where the résumé can be saved as PDF)
+ * and puts everything back afterwards. Printing with Ctrl+P goes through
+ * the same steps via beforeprint/afterprint.
+ *
+ * While printing, the light theme is forced, scroll animations are off so
+ * [data-animate] elements are visible, collapsed content ([data-collapsed]
+ * and <details>) is expanded and link URLs are written next to the links.
+ * The layout has a one-page and a two-page variant.
+ */
+
+export class PrintController {
+  constructor({ bus, i18n, listen, get }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.listen = listen;
+    this.get = get;
+    this.root = document.documentElement;
+    this.button = document.querySelector("[data-print-resume]");
+    this.pagesSelect = document.querySelector('[name="print-pages"]');
+    this.active = false;
+    // What prepare() changed, so restore() can undo exactly that
+    this.restoreSteps = [];
+  }
+
+  mount() {
+    if (this.button) {
+      this.listen(this.button, "click", () => this.print());
+    }
+
+    this.listen(window, "beforeprint", () => this.prepare());
+    this.listen(window, "afterprint", () => this.restore());
+  }
+
+  // pages: 1 or 2, defaults to the variant picked next to the button
+  print({ pages = this.getPages() } = {}) {
+    this.prepare({ pages });
+    window.print();
+
+    // Browsers without afterprint leave the page prepared until the
+    // dialog returns, which is when print() itself returns
+    if (!("onafterprint" in window)) {
+      this.restore();
+    }
+  }
+
+  getPages() {
+    const pages = Number(this.pagesSelect ? this.pagesSelect.value : 2);
+    return PrintController.PAGES.includes(pages) ? pages : 2;
+  }
+
+  prepare({ pages = this.getPages() } = {}) {
+    if (this.active) return;
+    this.active = true;
+
+    this.root.setAttribute("data-print-pages", pages);
+    this.forceLightTheme();
+    this.disableAnimations();
+    this.expandCollapsed();
+    this.addLinkUrls();
+    this.renderHeader();
+
+    this.bus.emit("printModeChanged", { active: true, pages });
+  }
+
+  restore() {
+    if (!this.active) return;
+    this.active = false;
+
+    // Undo in reverse order
+    this.restoreSteps.reverse().forEach((step) => step());
+    this.restoreSteps = [];
+    this.root.removeAttribute("data-print-pages");
+
+    this.bus.emit("printModeChanged", { active: false });
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  forceLightTheme() {
+    const theme = this.get("theme");
+    if (!theme || theme.getCurrentTheme() === "light") return;
+
+    // Not stored, so the visitor's choice survives a closed tab mid-print
+    const mode = theme.getMode();
+    theme.setTheme("light", { source: "print", persist: false });
+    this.restoreSteps.push(() =>
+      theme.setTheme(mode, { source: "print", persist: false })
+    );
+  }
+
+  // Elements still waiting to scroll into view would print at opacity 0
+  disableAnimations() {
+    const animations = this.get("animations");
+    if (!animations) return;
+
+    animations.setMotionLevel("none");
+    this.restoreSteps.push(() =>
+      animations.setMotionLevel(animations.getMotionLevel())
+    );
+  }
+
+  expandCollapsed() {
+    const collapsed = document.querySelectorAll("[data-collapsed]");
+    const closed = document.querySelectorAll("details:not([open])");
+
+    collapsed.forEach((element) => element.removeAttribute("data-collapsed"));
+    closed.forEach((details) => {
+      details.open = true;
+    });
+
+    this.restoreSteps.push(() => {
+      collapsed.forEach((element) =>
+        element.setAttribute("data-collapsed", "")
+      );
+      closed.forEach((details) => {
+        details.open = false;
+      });
+    });
+  }
+
+  addLinkUrls() {
+    const urls = [];
+
+    document
+      .querySelectorAll(".main a[href], .footer a[href]")
+      .forEach((link) => {
+        const url = this.getPrintableUrl(link);
+        if (!url) return;
+
+        const span = document.createElement("span");
+        span.className = "print-url";
+        span.textContent = ` (${url})`;
+        link.after(span);
+        urls.push(span);
+      });
+
+    this.restoreSteps.push(() => urls.forEach((span) => span.remove()));
+  }
+
+  // Readable address for a link, or null when the link text already
+  // shows it (e.g. "github.com/SandroJr26") or it only works on screen
+  getPrintableUrl(link) {
+    const href = link.getAttribute("href");
+    if (!href || href.startsWith("#") || href.startsWith("javascript:")) {
+      return null;
+    }
+
+    const text = link.textContent.trim();
+
+    if (href.startsWith("tel:")) {
+      const digits = text.replace(/\D/g, "");
+      return digits && href.replace(/\D/g, "").endsWith(digits)
+        ? null
+        : href.slice(4);
+    }
+
+    const url = href
+      .replace(/^mailto:/, "")
+      .replace(/^https?:\/\/(www\.)?/, "")
+      .replace(/\/$/, "");
+
+    return text.toLowerCase().includes(url.toLowerCase()) ? null : url;
+  }
+
+  // The on-screen header is hidden when printing, so the résumé gets its
+  // own name and job title line from portfolio.json
+  renderHeader() {
+    const content = this.get("content");
+    const data = content ? content.getData() : null;
+    const main = document.querySelector(".main");
+    if (!data || !main) return;
+
+    const { profile } = data;
+    const header = document.createElement("header");
+    header.className = "print-header";
+
+    const name = document.createElement("p");
+    name.className = "print-header__name";
+    name.textContent = profile.name;
+
+    const details = document.createElement("p");
+    details.className = "print-header__details";
+    details.textContent = [
+      this.i18n.localize(profile.jobTitle),
+      `${profile.address.locality}/${profile.address.region}`,
+      profile.url.replace(/^https?:\/\//, ""),
+    ].join(" · ");
+
+    header.append(name, details);
+    main.prepend(header);
+
+    this.restoreSteps.push(() => header.remove());
+  }
+
+  unmount() {
+    this.restore();
+  }
+}
+
+PrintController.PAGES = [1, 2];
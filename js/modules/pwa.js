@@ -0,0 +1,87 @@
+/**
+ * PWA Module
+ * Registers the service worker (sw.js) and offers a reload through
+ * showNotification when a new version has been installed
+ */
+
+export class ServiceWorkerManager {
+  constructor({ i18n, app, listen, scriptUrl = "sw.js" }) {
+    this.i18n = i18n;
+    this.app = app;
+    this.listen = listen;
+    this.scriptUrl = scriptUrl;
+    this.registration = null;
+    this.updateAccepted = false;
+  }
+
+  mount() {
+    if (!("serviceWorker" in navigator)) return;
+
+    // The first install also claims the page, so only reload on request
+    this.listen(navigator.serviceWorker, "controllerchange", () => {
+      if (this.updateAccepted) {
+        window.location.reload();
+      }
+    });
+
+    // Registering after load keeps the precache out of the critical path
+    if (document.readyState === "complete") {
+      this.register();
+    } else {
+      this.listen(window, "load", () => this.register(), { once: true });
+    }
+  }
+
+  async register() {
+    try {
+      this.registration = await navigator.serviceWorker.register(
+        this.scriptUrl
+      );
+    } catch (error) {
+      console.warn("Service worker registration failed:", error);
+      return;
+    }
+
+    // An update installed during a previous visit is still waiting
+    if (this.registration.waiting && navigator.serviceWorker.controller) {
+      this.promptUpdate();
+    }
+
+    this.registration.addEventListener("updatefound", () => {
+      const worker = this.registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener("statechange", () => {
+        // With an existing controller this is an update, not the first install
+        if (
+          worker.state === "installed" &&
+          navigator.serviceWorker.controller
+        ) {
+          this.promptUpdate();
+        }
+      });
+    });
+  }
+
+  promptUpdate() {
+    this.app.showNotification(this.i18n.t("pwa.updateAvailable"), "info", {
+      duration: 0,
+      action: {
+        label: this.i18n.t("pwa.reload"),
+        onClick: () => this.applyUpdate(),
+      },
+    });
+  }
+
+  applyUpdate() {
+    const waiting = this.registration && this.registration.waiting;
+
+    if (!waiting) {
+      window.location.reload();
+      return;
+    }
+
+    this.updateAccepted = true;
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  }
+}
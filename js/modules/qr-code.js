@@ -0,0 +1,576 @@
+/**
+ * QR Code Module
+ * Minimal QR Code Model 2 encoder (ISO/IEC 18004), byte mode only, so the
+ * contact QR code is drawn in the browser without an external service.
+ * Picks the smallest version (1-40) that fits, adds Reed-Solomon error
+ * correction and chooses the mask with the lowest penalty score.
+ *
+ *   const qr = QRCode.encode("BEGIN:VCARD...", { ecl: "M" });
+ *   container.append(qr.toSvg());
+ */
+
+export class QRCode {
+  constructor(version, ecl) {
+    this.version = version;
+    this.ecl = ecl;
+    this.size = version * 4 + 17;
+    // modules[y][x], true is dark
+    this.modules = QRCode.grid(this.size);
+    // Finder, timing, alignment, format and version areas
+    this.reserved = QRCode.grid(this.size);
+  }
+
+  // ecl: L (7%), M (15%), Q (25%) or H (30%) of codewords recoverable
+  static encode(text, { ecl = "M" } = {}) {
+    if (!(ecl in QRCode.ECC_LEVELS)) {
+      throw new RangeError(`Unknown error correction level: ${ecl}`);
+    }
+
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    for (let version = 1; version <= 40; version++) {
+      const countBits = version < 10 ? 8 : 16;
+      const capacity = QRCode.getDataCodewords(version, ecl) * 8;
+
+      if (
+        bytes.length < 2 ** countBits &&
+        4 + countBits + bytes.length * 8 <= capacity
+      ) {
+        const qr = new QRCode(version, ecl);
+        qr.draw(qr.getCodewords(bytes, countBits));
+        return qr;
+      }
+    }
+
+    throw new RangeError("Text is too long for a QR code");
+  }
+
+  static grid(size) {
+    return Array.from({ length: size }, () => new Array(size).fill(false));
+  }
+
+  // Number of modules left for data and error correction
+  static getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+
+    if (version >= 2) {
+      const alignments = Math.floor(version / 7) + 2;
+      result -= (25 * alignments - 10) * alignments - 55;
+      if (version >= 7) {
+        result -= 36;
+      }
+    }
+
+    return result;
+  }
+
+  static getDataCodewords(version, ecl) {
+    const { blocks, eccPerBlock } = QRCode.ECC_LEVELS[ecl];
+
+    return (
+      Math.floor(QRCode.getRawDataModules(version) / 8) -
+      blocks[version] * eccPerBlock[version]
+    );
+  }
+
+  isDark(x, y) {
+    return this.modules[y][x];
+  }
+
+  // SVG with a 4-module quiet zone, scaled through CSS
+  toSvg({ margin = 4 } = {}) {
+    const namespace = "http://www.w3.org/2000/svg";
+    const svg = document.createElementNS(namespace, "svg");
+    const path = document.createElementNS(namespace, "path");
+    const extent = this.size + margin * 2;
+    const squares = [];
+
+    this.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) {
+          squares.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        }
+      });
+    });
+
+    svg.setAttribute("viewBox", `0 0 ${extent} ${extent}`);
+    svg.setAttribute("shape-rendering", "crispEdges");
+    path.setAttribute("d", squares.join(""));
+    path.setAttribute("fill", "#000");
+
+    const background = document.createElementNS(namespace, "rect");
+    background.setAttribute("width", "100%");
+    background.setAttribute("height", "100%");
+    background.setAttribute("fill", "#fff");
+
+    svg.append(background, path);
+    return svg;
+  }
+
+  // Data codewords
+  getCodewords(bytes, countBits) {
+    const capacity = QRCode.getDataCodewords(this.version, this.ecl) * 8;
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+      }
+    };
+
+    // Byte mode indicator, character count, data
+    push(0b0100, 4);
+    push(bytes.length, countBits);
+    bytes.forEach((byte) => push(byte, 8));
+
+    // Terminator, then pad to a whole byte and fill with 0xEC 0x11
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+      push(pad, 8);
+    }
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit));
+    }
+
+    return this.addErrorCorrection(data);
+  }
+
+  // Split into blocks, append each block's Reed-Solomon codewords and
+  // interleave the result
+  addErrorCorrection(data) {
+    const { blocks, eccPerBlock } = QRCode.ECC_LEVELS[this.ecl];
+    const blockCount = blocks[this.version];
+    const eccLength = eccPerBlock[this.version];
+    const rawCodewords = Math.floor(QRCode.getRawDataModules(this.version) / 8);
+    const shortBlocks = blockCount - (rawCodewords % blockCount);
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = QRCode.reedSolomonDivisor(eccLength);
+
+    const split = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const length = shortLength - eccLength + (i < shortBlocks ? 0 : 1);
+      const block = data.slice(offset, offset + length);
+      offset += length;
+
+      const ecc = QRCode.reedSolomonRemainder(block, divisor);
+      // Placeholder keeps short and long blocks aligned while interleaving
+      if (i < shortBlocks) {
+        block.push(null);
+      }
+      split.push([...block, ...ecc]);
+    }
+
+    const result = [];
+    for (let i = 0; i < split[0].length; i++) {
+      split.forEach((block) => {
+        if (block[i] !== null) {
+          result.push(block[i]);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  // Reed-Solomon over GF(2^8) with the 0x11D polynomial
+  static reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = QRCode.multiply(result[j], root);
+        if (j + 1 < degree) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      root = QRCode.multiply(root, 0x02);
+    }
+
+    return result;
+  }
+
+  static reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+
+    data.forEach((byte) => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= QRCode.multiply(coefficient, factor);
+      });
+    });
+
+    return result;
+  }
+
+  static multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  // Matrix
+  draw(codewords) {
+    this.drawFunctionPatterns();
+    this.drawCodewords(codewords);
+
+    let best = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(mask);
+      this.drawFormatBits(mask);
+      const penalty = this.getPenaltyScore();
+      if (penalty < bestPenalty) {
+        best = mask;
+        bestPenalty = penalty;
+      }
+      // Masks are XOR, so applying again undoes it
+      this.applyMask(mask);
+    }
+
+    this.mask = best;
+    this.applyMask(best);
+    this.drawFormatBits(best);
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(size - 4, 3);
+    this.drawFinderPattern(3, size - 4);
+
+    const positions = this.getAlignmentPositions();
+    const last = positions.length - 1;
+    positions.forEach((y, row) => {
+      positions.forEach((x, column) => {
+        // The three corners already hold finder patterns
+        const isCorner =
+          (row === 0 && column === 0) ||
+          (row === 0 && column === last) ||
+          (row === last && column === 0);
+        if (!isCorner) {
+          this.drawAlignmentPattern(x, y);
+        }
+      });
+    });
+
+    // Reserve the format area now, the real bits depend on the mask
+    this.drawFormatBits(0);
+    this.drawVersionBits();
+  }
+
+  drawFinderPattern(centerX, centerY) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+
+        if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+          this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(centerX, centerY) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(
+          centerX + dx,
+          centerY + dy,
+          Math.max(Math.abs(dx), Math.abs(dy)) !== 1
+        );
+      }
+    }
+  }
+
+  getAlignmentPositions() {
+    if (this.version === 1) return [];
+
+    const count = Math.floor(this.version / 7) + 2;
+    const step =
+      Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const result = [6];
+
+    for (
+      let position = this.size - 7;
+      result.length < count;
+      position -= step
+    ) {
+      result.splice(1, 0, position);
+    }
+
+    return result;
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const data = (QRCode.ECC_LEVELS[this.ecl].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) {
+      this.setFunctionModule(8, i, bit(i));
+    }
+    this.setFunctionModule(8, 7, bit(6));
+    this.setFunctionModule(8, 8, bit(7));
+    this.setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunctionModule(14 - i, 8, bit(i));
+    }
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) {
+      this.setFunctionModule(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunctionModule(8, size - 15 + i, bit(i));
+    }
+
+    // Always dark
+    this.setFunctionModule(8, size - 8, true);
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  // Zigzag through two-module columns, right to left, skipping the
+  // vertical timing pattern
+  drawCodewords(codewords) {
+    const { size } = this;
+    const totalBits = codewords.length * 8;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5;
+      }
+
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!this.reserved[y][x] && i < totalBits) {
+            this.modules[y][x] =
+              ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const condition = QRCode.MASKS[mask];
+
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && condition(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalty rules from the spec: long runs, 2x2 blocks, finder-like
+  // patterns and dark/light imbalance
+  getPenaltyScore() {
+    const { size, modules } = this;
+    let result = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+    lines.forEach((line) => {
+      result += this.getLinePenalty(line);
+    });
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (
+          color === modules[y][x + 1] &&
+          color === modules[y + 1][x] &&
+          color === modules[y + 1][x + 1]
+        ) {
+          result += 3;
+        }
+      }
+    }
+
+    const dark = modules.reduce(
+      (count, row) => count + row.filter(Boolean).length,
+      0
+    );
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return result;
+  }
+
+  getLinePenalty(line) {
+    const { size } = this;
+    // Lengths of the last 7 runs, newest first; the quiet zone counts
+    // as light modules around the line
+    const history = new Array(7).fill(0);
+    const addRun = (length) => {
+      history.pop();
+      history.unshift(history[0] === 0 ? length + size : length);
+    };
+    const countFinderLike = () => {
+      const n = history[1];
+      const core =
+        n > 0 &&
+        history[2] === n &&
+        history[3] === n * 3 &&
+        history[4] === n &&
+        history[5] === n;
+      return (
+        (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) +
+        (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0)
+      );
+    };
+
+    let result = 0;
+    let color = false;
+    let run = 0;
+
+    line.forEach((dark) => {
+      if (dark === color) {
+        run++;
+        if (run === 5) {
+          result += 3;
+        } else if (run > 5) {
+          result++;
+        }
+        return;
+      }
+
+      addRun(run);
+      if (!color) {
+        result += countFinderLike() * 40;
+      }
+      color = dark;
+      run = 1;
+    });
+
+    if (color) {
+      addRun(run);
+      run = 0;
+    }
+    addRun(run + size);
+    result += countFinderLike() * 40;
+
+    return result;
+  }
+}
+
+QRCode.MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Per version (index 0 unused): error correction blocks and codewords
+// per block, from the tables in ISO/IEC 18004
+QRCode.ECC_LEVELS = {
+  L: {
+    formatBits: 1,
+    blocks: [
+      -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9,
+      10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+    ],
+    eccPerBlock: [
+      -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30,
+      28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+      30, 30, 30, 30,
+    ],
+  },
+  M: {
+    formatBits: 0,
+    blocks: [
+      -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17,
+      17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47,
+      49,
+    ],
+    eccPerBlock: [
+      -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28,
+      26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+      28, 28, 28, 28, 28,
+    ],
+  },
+  Q: {
+    formatBits: 3,
+    blocks: [
+      -1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20,
+      23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62,
+      65, 68,
+    ],
+    eccPerBlock: [
+      -1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28,
+      28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+      30, 30, 30, 30, 30,
+    ],
+  },
+  H: {
+    formatBits: 2,
+    blocks: [
+      -1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+      25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74,
+      77, 81,
+    ],
+    eccPerBlock: [
+      -1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28,
+      28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+      30, 30, 30, 30, 30,
+    ],
+  },
+};
@@ -0,0 +1,189 @@
+/**
+ * Router Module
+ * Owns the URL hash: section links, sub-routes (#projetos/site-ayumi),
+ * query state (#projetos?categoria=design) and back/forward navigation
+ */
+
+export class Router {
+  constructor({ bus, signal, listen, get }) {
+    this.bus = bus;
+    this.signal = signal;
+    this.listen = listen;
+    this.get = get;
+    this.header = document.querySelector(".header");
+    this.currentRoute = null;
+  }
+
+  mount() {
+    // We restore scroll positions ourselves on back/forward
+    if ("scrollRestoration" in history) {
+      history.scrollRestoration = "manual";
+    }
+
+    this.listen(document, "click", (e) => this.handleLinkClick(e));
+    this.listen(window, "popstate", (e) => this.handlePopState(e));
+
+    // Resolve the route the page was opened with
+    this.resolve(window.location.hash, { focus: false });
+
+    // Rendered content shifts the layout, so settle on the section again
+    this.bus.once(
+      "contentLoaded",
+      () => {
+        if (this.currentRoute.section && window.scrollY > 0) {
+          this.scrollToSection(this.currentRoute.section, {
+            focus: false,
+            smooth: false,
+          });
+        }
+      },
+      { signal: this.signal }
+    );
+  }
+
+  handleLinkClick(e) {
+    if (e.defaultPrevented || e.button !== 0) return;
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const link = e.target.closest('a[href^="#"]');
+    if (!link) return;
+
+    const href = link.getAttribute("href");
+    if (href === "#") return;
+
+    const route = this.parse(href);
+    if (!document.getElementById(route.section)) return;
+
+    e.preventDefault();
+    this.navigate(href);
+  }
+
+  handlePopState(e) {
+    const scrollY = e.state && typeof e.state.scrollY === "number"
+      ? e.state.scrollY
+      : null;
+
+    this.resolve(window.location.hash, { scrollY, focus: false });
+  }
+
+  navigate(path, { replace = false, scroll = true } = {}) {
+    const hash = path.startsWith("#") ? path : `#${path}`;
+
+    if (hash === window.location.hash) {
+      if (scroll) {
+        this.scrollToSection(this.currentRoute.section);
+      }
+      return;
+    }
+
+    // Remember where we were so back/forward can return there
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, "");
+
+    if (replace) {
+      history.replaceState({}, "", hash);
+    } else {
+      history.pushState({}, "", hash);
+    }
+
+    this.resolve(hash, { scroll });
+  }
+
+  resolve(hash, { scroll = true, scrollY = null, focus = true } = {}) {
+    const previous = this.currentRoute;
+    const route = this.parse(hash);
+    this.currentRoute = route;
+
+    if (scroll) {
+      if (scrollY !== null) {
+        window.scrollTo(0, scrollY);
+      } else if (route.section) {
+        this.scrollToSection(route.section, {
+          focus,
+          smooth: previous !== null,
+        });
+      }
+    }
+
+    // Notify other components
+    this.bus.emit("routeChanged", { route, previous });
+  }
+
+  scrollToSection(sectionId, { focus = true, smooth = true } = {}) {
+    const target = document.getElementById(sectionId);
+    if (!target) return;
+
+    const headerHeight = this.header ? this.header.offsetHeight : 0;
+    const targetPosition =
+      target.getBoundingClientRect().top + window.scrollY - headerHeight - 20;
+
+    window.scrollTo({
+      top: Math.max(targetPosition, 0),
+      behavior: smooth && !this.prefersReducedMotion() ? "smooth" : "auto",
+    });
+
+    // Focus management for accessibility
+    if (focus) {
+      target.setAttribute("tabindex", "-1");
+      target.focus({ preventScroll: true });
+      target.addEventListener(
+        "blur",
+        () => {
+          target.removeAttribute("tabindex");
+        },
+        { once: true }
+      );
+    }
+  }
+
+  // "#projetos/site-ayumi?categoria=design" ->
+  // { section: "projetos", params: ["site-ayumi"], query: { categoria: "design" } }
+  parse(hash) {
+    const [path, queryString = ""] = (hash || "")
+      .replace(/^#\/?/, "")
+      .split("?");
+    const segments = path
+      .split("/")
+      .filter(Boolean)
+      .map((segment) => decodeURIComponent(segment));
+
+    return {
+      path,
+      section: segments[0] || "",
+      params: segments.slice(1),
+      query: Object.fromEntries(new URLSearchParams(queryString)),
+    };
+  }
+
+  buildHash(section, params = [], query = {}) {
+    const path = [section, ...params].map(encodeURIComponent).join("/");
+    const queryString = new URLSearchParams(
+      Object.entries(query).filter(([, value]) => value)
+    ).toString();
+
+    return `#${path}${queryString ? `?${queryString}` : ""}`;
+  }
+
+  prefersReducedMotion() {
+    // The accessibility panel can override the OS setting
+    const accessibility = this.get("accessibility");
+    if (accessibility) {
+      return accessibility.getMotion() !== "full";
+    }
+
+    return (
+      window.matchMedia &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    );
+  }
+
+  // Subscribe to route changes; returns an unsubscribe function
+  onRouteChange(callback) {
+    return this.bus.on("routeChanged", ({ route, previous }) =>
+      callback(route, previous)
+    );
+  }
+
+  getCurrentRoute() {
+    return this.currentRoute;
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Scroll Scheduler
+ * One passive scroll/resize listener and one requestAnimationFrame loop for
+ * every scroll-linked effect. Each frame measures the page once, runs all
+ * subscriber reads, then all writes, so effects never interleave layout
+ * reads with style writes. Nothing runs while the tab is hidden.
+ */
+
+export class ScrollScheduler {
+  constructor() {
+    this.subscribers = new Set();
+    this.frame = null;
+    this.state = null;
+
+    this.handleChange = () => this.schedule();
+
+    this.init();
+  }
+
+  init() {
+    window.addEventListener("scroll", this.handleChange, { passive: true });
+    window.addEventListener("resize", this.handleChange, { passive: true });
+
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) {
+        this.cancel();
+      } else {
+        // Catch up with anything that changed while hidden
+        this.schedule();
+      }
+    });
+  }
+
+  // Accepts write(state) or { read(state), write(state) }; returns an
+  // unsubscribe function, also called when `signal` aborts. Subscribers
+  // get a first frame right away.
+  subscribe(subscriber, { signal } = {}) {
+    const entry =
+      typeof subscriber === "function" ? { write: subscriber } : subscriber;
+    const unsubscribe = () => this.subscribers.delete(entry);
+
+    if (signal && signal.aborted) return unsubscribe;
+
+    this.subscribers.add(entry);
+    this.schedule();
+
+    if (signal) {
+      signal.addEventListener("abort", unsubscribe, { once: true });
+    }
+
+    return unsubscribe;
+  }
+
+  schedule() {
+    if (this.frame !== null || document.hidden || !this.subscribers.size) {
+      return;
+    }
+
+    this.frame = requestAnimationFrame(() => this.run());
+  }
+
+  cancel() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  run() {
+    this.frame = null;
+    this.state = this.measure();
+
+    const entries = Array.from(this.subscribers);
+
+    entries.forEach((entry) => {
+      if (entry.read) {
+        entry.read(this.state);
+      }
+    });
+
+    entries.forEach((entry) => {
+      if (entry.write) {
+        entry.write(this.state);
+      }
+    });
+  }
+
+  // All shared layout reads for a frame
+  measure() {
+    const scrollY = window.scrollY;
+    const viewportHeight = window.innerHeight;
+    const scrollHeight = document.documentElement.scrollHeight;
+    const maxScroll = Math.max(scrollHeight - viewportHeight, 0);
+
+    return {
+      scrollY,
+      viewportHeight,
+      viewportWidth: window.innerWidth,
+      scrollHeight,
+      progress: maxScroll > 0 ? Math.min(scrollY / maxScroll, 1) : 0,
+    };
+  }
+
+  getState() {
+    return this.state || this.measure();
+  }
+
+  // CSS scroll-driven animations make the JS fallback unnecessary
+  static supportsScrollTimeline() {
+    return (
+      typeof CSS !== "undefined" &&
+      typeof CSS.supports === "function" &&
+      CSS.supports("animation-timeline: scroll()")
+    );
+  }
+
+  destroy() {
+    this.cancel();
+    this.subscribers.clear();
+    window.removeEventListener("scroll", this.handleChange);
+    window.removeEventListener("resize", this.handleChange);
+  }
+}
@@ -1,45 +1,59 @@
 /**
  * Theme Management Module
- * Handles dark/light theme switching with localStorage persistence
+ * Handles the system/light/dark mode, registered palettes (js/themes/) and
+ * an optional accent color, with localStorage persistence and cross-tab sync.
+ * The first paint is themed by the inline bootstrap in index.html, which
+ * reads the same storage keys.
  */
 
-class ThemeManager {
-  constructor() {
+export class ThemeManager {
+  constructor({ bus, i18n, listen }) {
+    this.bus = bus;
+    this.i18n = i18n;
+    this.listen = listen;
+    this.root = document.documentElement;
     this.themeToggle = document.getElementById("theme-toggle");
-    this.currentTheme = this.getStoredTheme() || this.getSystemTheme();
-
-    this.init();
+    this.themeMenu = document.getElementById("theme-menu");
+    this.mode = this.getStoredTheme() || "system";
+    this.palette = this.getStoredPalette();
+    this.accent = this.getStoredValue("themeAccent");
+    this.currentTheme = this.resolveMode(this.mode);
+    // Properties the bootstrap already set inline
+    this.appliedProperties = Array.from(this.root.style).filter((property) =>
+      property.startsWith("--")
+    );
   }
 
-  init() {
-    // Apply initial theme
-    this.applyTheme(this.currentTheme);
-
-    // Add event listener to toggle button
-    if (this.themeToggle) {
-      this.themeToggle.addEventListener("click", () => this.toggleTheme());
+  mount() {
+    // Apply initial theme (already on <html> thanks to the bootstrap)
+    this.applyTheme({ source: "init" });
+    this.cacheOverrides();
 
-      // Add keyboard support
-      this.themeToggle.addEventListener("keydown", (e) => {
-        if (e.key === "Enter" || e.key === " ") {
-          e.preventDefault();
-          this.toggleTheme();
-        }
-      });
+    if (this.themeToggle && this.themeMenu) {
+      this.initMenu();
     }
 
-    // Listen for system theme changes
+    // Follow the OS while in "system" mode
     if (window.matchMedia) {
       const mediaQuery = window.matchMedia("(prefers-color-scheme: dark)");
-      mediaQuery.addEventListener("change", (e) => {
-        if (!this.getStoredTheme()) {
-          this.applyTheme(e.matches ? "dark" : "light");
+      this.listen(mediaQuery, "change", () => {
+        if (this.mode === "system") {
+          this.applyTheme({ source: "system" });
         }
       });
     }
 
-    // Update aria-label based on current theme
-    this.updateToggleLabel();
+    // Re-label the toggle when the language changes
+    this.listen(this.bus, "localeChanged", () => this.updateToggleLabel());
+
+    // Choices made in another tab
+    this.listen(window, "storage", (e) => this.handleStorage(e));
+  }
+
+  // Palettes live in js/themes/ and register themselves here:
+  //   { swatch, light: { "--color-...": value }, dark: { ... } }
+  static registerTheme(id, definition) {
+    ThemeManager.themes[id] = definition;
   }
 
   getSystemTheme() {
@@ -52,42 +66,134 @@ class ThemeManager {
     return "light";
   }
 
-  getStoredTheme() {
+  resolveMode(mode) {
+    return mode === "system" ? this.getSystemTheme() : mode;
+  }
+
+  // Storage
+  getStoredValue(key) {
     try {
-      return localStorage.getItem("theme");
+      return localStorage.getItem(key);
     } catch (error) {
       console.warn("localStorage not available:", error);
       return null;
     }
   }
 
-  storeTheme(theme) {
+  storeValue(key, value) {
     try {
-      localStorage.setItem("theme", theme);
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, value);
+      }
     } catch (error) {
       console.warn("Could not store theme preference:", error);
     }
   }
 
-  applyTheme(theme) {
+  getStoredTheme() {
+    const mode = this.getStoredValue("theme");
+    return ThemeManager.MODES.includes(mode) ? mode : null;
+  }
+
+  getStoredPalette() {
+    const palette = this.getStoredValue("themePalette");
+    return palette in ThemeManager.themes ? palette : "default";
+  }
+
+  // Only explicit choices are stored, "system" clears the key
+  storeTheme(mode) {
+    this.storeValue("theme", mode === "system" ? null : mode);
+  }
+
+  hasExplicitTheme() {
+    return this.mode !== "system";
+  }
+
+  handleStorage(e) {
+    // key is null when another tab cleared the whole storage
+    if (e.key !== null && !ThemeManager.STORAGE_KEYS.includes(e.key)) return;
+
+    this.mode = this.getStoredTheme() || "system";
+    this.palette = this.getStoredPalette();
+    this.accent = this.getStoredValue("themeAccent");
+    this.applyTheme({ source: "storage" });
+  }
+
+  applyTheme({ source = "system" } = {}) {
+    const theme = this.resolveMode(this.mode);
     this.currentTheme = theme;
-    document.documentElement.setAttribute("data-theme", theme);
+    this.root.setAttribute("data-theme", theme);
+    this.root.setAttribute("data-palette", this.palette);
+
+    this.applyOverrides(theme);
 
     // Update meta theme-color for mobile browsers
     this.updateMetaThemeColor(theme);
 
-    // Store preference
-    this.storeTheme(theme);
-
-    // Update toggle button label
+    // Update toggle button label and picker state
     this.updateToggleLabel();
+    this.syncMenu();
 
-    // Dispatch custom event for other components
-    document.dispatchEvent(
-      new CustomEvent("themeChanged", {
-        detail: { theme },
-      })
+    // Notify other components
+    this.bus.emit("themeChanged", {
+      theme,
+      mode: this.mode,
+      palette: this.palette,
+      accent: this.accent,
+      source,
+    });
+  }
+
+  // Palette and accent overrides are inline custom properties on <html>,
+  // so they sit on top of css/base/variables.css
+  applyOverrides(theme) {
+    this.appliedProperties.forEach((property) =>
+      this.root.style.removeProperty(property)
     );
+
+    const overrides = this.getOverrides(theme);
+
+    Object.entries(overrides).forEach(([property, value]) => {
+      this.root.style.setProperty(property, value);
+    });
+    this.appliedProperties = Object.keys(overrides);
+  }
+
+  getOverrides(theme) {
+    const definition = ThemeManager.themes[this.palette] || {};
+    const overrides = { ...(definition[theme] || {}) };
+
+    if (this.accent) {
+      const check = this.checkAccent(this.accent, theme);
+      if (check.valid) {
+        Object.assign(overrides, this.getAccentProperties(check, theme));
+      }
+    }
+
+    return overrides;
+  }
+
+  // The bootstrap cannot load js/themes/, so it reads the resolved
+  // properties for both schemes from here
+  cacheOverrides() {
+    const cache = {
+      light: this.getOverrides("light"),
+      dark: this.getOverrides("dark"),
+    };
+    const isEmpty =
+      !Object.keys(cache.light).length && !Object.keys(cache.dark).length;
+
+    this.storeValue("themeOverrides", isEmpty ? null : JSON.stringify(cache));
+  }
+
+  // Background of the active palette, before any accent is applied
+  getPaletteBackground(theme) {
+    const definition = ThemeManager.themes[this.palette] || {};
+    const overrides = definition[theme] || {};
+
+    return overrides["--color-background"] || ThemeManager.BACKGROUNDS[theme];
   }
 
   updateMetaThemeColor(theme) {
@@ -99,54 +205,316 @@ class ThemeManager {
       document.head.appendChild(metaThemeColor);
     }
 
-    const colors = {
-      light: "#ffffff",
-      dark: "#0f172a",
+    metaThemeColor.content = this.getPaletteBackground(theme);
+  }
+
+  // Accent color
+  // Needs 3:1 against the page background (WCAG 1.4.11) and a text color
+  // that reaches 4.5:1 on top of it for primary buttons
+  checkAccent(color, theme = this.currentTheme) {
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      return { valid: false, ratio: 0, direction: "darker" };
+    }
+
+    const background = this.getPaletteBackground(theme);
+    const ratio = ThemeManager.contrastRatio(color, background);
+    const foreground = ["#ffffff", "#0f172a"].reduce((best, candidate) =>
+      ThemeManager.contrastRatio(color, candidate) >
+      ThemeManager.contrastRatio(color, best)
+        ? candidate
+        : best
+    );
+    const foregroundRatio = ThemeManager.contrastRatio(color, foreground);
+
+    return {
+      valid: ratio >= 3 && foregroundRatio >= 4.5,
+      color,
+      ratio,
+      foreground,
+      foregroundRatio,
+      // Which way to move the color when it fails against the background
+      direction:
+        ThemeManager.luminance(background) > 0.5 ? "darker" : "lighter",
     };
+  }
 
-    metaThemeColor.content = colors[theme] || colors.light;
+  getAccentProperties({ color, foreground }, theme) {
+    return {
+      "--color-primary": color,
+      "--color-primary-hover": ThemeManager.mix(
+        color,
+        theme === "dark" ? "#ffffff" : "#000000",
+        0.15
+      ),
+      "--color-primary-light": ThemeManager.mix(color, "#ffffff", 0.4),
+      "--color-primary-foreground": foreground,
+      "--color-ring": color,
+    };
+  }
+
+  setAccent(color) {
+    if (color === null) {
+      this.accent = null;
+      this.storeValue("themeAccent", null);
+      this.cacheOverrides();
+      this.applyTheme({ source: "user" });
+      return { valid: true };
+    }
+
+    const check = this.checkAccent(color);
+    if (!check.valid) return check;
+
+    this.accent = color;
+    this.storeValue("themeAccent", color);
+    this.cacheOverrides();
+    this.applyTheme({ source: "user" });
+
+    return check;
+  }
+
+  // Picker menu
+  initMenu() {
+    this.renderPaletteOptions();
+    this.syncMenu();
+
+    this.listen(this.themeToggle, "click", () => {
+      if (this.themeMenu.hidden) {
+        this.openMenu();
+      } else {
+        this.closeMenu();
+      }
+    });
+
+    this.listen(this.themeMenu, "change", (e) => {
+      const input = e.target;
+
+      if (input.name === "theme-mode") {
+        this.setTheme(input.value);
+      } else if (input.name === "theme-palette") {
+        this.setPalette(input.value);
+      } else if (input.name === "theme-accent") {
+        this.handleAccentInput(input.value);
+      }
+    });
+
+    const resetAccent = this.themeMenu.querySelector(
+      "[data-theme-accent-reset]"
+    );
+    if (resetAccent) {
+      this.listen(resetAccent, "click", () => {
+        this.setAccent(null);
+        this.showAccentHint("");
+      });
+    }
+
+    this.listen(this.themeMenu, "keydown", (e) => {
+      if (e.key === "Escape") {
+        this.closeMenu();
+        this.themeToggle.focus();
+      }
+    });
+
+    // Close when clicking outside
+    this.listen(document, "click", (e) => {
+      if (
+        !this.themeMenu.hidden &&
+        !this.themeMenu.contains(e.target) &&
+        !this.themeToggle.contains(e.target)
+      ) {
+        this.closeMenu();
+      }
+    });
+  }
+
+  renderPaletteOptions() {
+    const container = this.themeMenu.querySelector(".theme-menu__palettes");
+    if (!container) return;
+
+    container.replaceChildren(
+      ...Object.entries(ThemeManager.themes).map(([id, definition]) => {
+        const label = document.createElement("label");
+        label.className = "theme-menu__option";
+
+        const input = document.createElement("input");
+        input.type = "radio";
+        input.name = "theme-palette";
+        input.value = id;
+
+        const swatch = document.createElement("span");
+        swatch.className = "theme-menu__swatch";
+        swatch.style.background = definition.swatch;
+        swatch.setAttribute("aria-hidden", "true");
+
+        // Translated again by i18n on every language change
+        const text = document.createElement("span");
+        text.dataset.i18n = `theme.palettes.${id}`;
+
+        label.append(input, swatch, text);
+        return label;
+      })
+    );
+
+    this.i18n.translatePage(container);
+  }
+
+  syncMenu() {
+    if (!this.themeMenu) return;
+
+    this.themeMenu.querySelectorAll('input[type="radio"]').forEach((input) => {
+      input.checked =
+        (input.name === "theme-mode" && input.value === this.mode) ||
+        (input.name === "theme-palette" && input.value === this.palette);
+    });
+
+    const accentInput = this.themeMenu.querySelector('[name="theme-accent"]');
+    if (accentInput) {
+      accentInput.value = this.accent || ThemeManager.themes.default.swatch;
+    }
+  }
+
+  handleAccentInput(color) {
+    const check = this.setAccent(color);
+
+    if (check.valid) {
+      this.showAccentHint(this.i18n.t("theme.accent.applied"));
+    } else {
+      this.showAccentHint(
+        this.i18n.t("theme.accent.lowContrast", {
+          ratio: check.ratio.toFixed(1),
+          direction: this.i18n.t(`theme.accent.${check.direction}`),
+        }),
+        true
+      );
+    }
+  }
+
+  showAccentHint(message, isError = false) {
+    const hint = this.themeMenu.querySelector(".theme-menu__hint");
+    if (!hint) return;
+
+    hint.textContent = message;
+    hint.classList.toggle("theme-menu__hint--error", isError);
+  }
+
+  openMenu() {
+    this.themeMenu.hidden = false;
+    this.themeToggle.setAttribute("aria-expanded", "true");
+
+    const checked = this.themeMenu.querySelector("input:checked");
+    if (checked) {
+      checked.focus();
+    }
+  }
+
+  closeMenu() {
+    this.themeMenu.hidden = true;
+    this.themeToggle.setAttribute("aria-expanded", "false");
   }
 
   updateToggleLabel() {
     if (this.themeToggle) {
-      const label =
-        this.currentTheme === "dark"
-          ? "Ativar modo claro"
-          : "Ativar modo escuro";
+      const label = this.i18n.t("theme.pickerLabel", {
+        mode: this.i18n.t(`theme.modes.${this.mode}`),
+      });
       this.themeToggle.setAttribute("aria-label", label);
     }
   }
 
+  // Flip between explicit light and dark
   toggleTheme() {
-    const newTheme = this.currentTheme === "dark" ? "light" : "dark";
-    this.applyTheme(newTheme);
-
-    // Add a subtle animation to the toggle button
-    if (this.themeToggle) {
-      this.themeToggle.style.transform = "scale(0.95)";
-      setTimeout(() => {
-        this.themeToggle.style.transform = "scale(1)";
-      }, 150);
-    }
+    this.setTheme(this.currentTheme === "dark" ? "light" : "dark");
   }
 
   getCurrentTheme() {
     return this.currentTheme;
   }
 
-  setTheme(theme) {
-    if (theme === "dark" || theme === "light") {
-      this.applyTheme(theme);
+  getMode() {
+    return this.mode;
+  }
+
+  getPalette() {
+    return this.palette;
+  }
+
+  // Forget the explicit choice and follow the OS again
+  resetToSystem() {
+    this.setTheme("system");
+  }
+
+  // persist: false switches only this page (print mode uses it)
+  setTheme(mode, { source = "user", persist = true } = {}) {
+    if (!ThemeManager.MODES.includes(mode)) return;
+
+    this.mode = mode;
+    if (persist) {
+      this.storeTheme(mode);
     }
+    this.applyTheme({ source });
   }
-}
 
-// Auto-initialize when DOM is loaded
-document.addEventListener("DOMContentLoaded", () => {
-  window.themeManager = new ThemeManager();
-});
+  setPalette(id) {
+    if (!(id in ThemeManager.themes)) return;
 
-// Export for module usage
-if (typeof module !== "undefined" && module.exports) {
-  module.exports = ThemeManager;
+    this.palette = id;
+    this.storeValue("themePalette", id === "default" ? null : id);
+    this.cacheOverrides();
+    this.applyTheme({ source: "user" });
+  }
+
+  // Color math (sRGB, WCAG 2.x)
+  static parseHex(color) {
+    const hex = color.replace("#", "");
+    return [0, 2, 4].map((index) => parseInt(hex.slice(index, index + 2), 16));
+  }
+
+  static luminance(color) {
+    const [r, g, b] = ThemeManager.parseHex(color).map((channel) => {
+      const value = channel / 255;
+      return value <= 0.03928
+        ? value / 12.92
+        : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  static contrastRatio(a, b) {
+    const [lighter, darker] = [
+      ThemeManager.luminance(a),
+      ThemeManager.luminance(b),
+    ].sort((x, y) => y - x);
+
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+
+  static mix(color, target, amount) {
+    const from = ThemeManager.parseHex(color);
+    const to = ThemeManager.parseHex(target);
+
+    return `#${from
+      .map((channel, index) =>
+        Math.round(channel + (to[index] - channel) * amount)
+          .toString(16)
+          .padStart(2, "0")
+      )
+      .join("")}`;
+  }
 }
+
+ThemeManager.MODES = ["system", "light", "dark"];
+
+// Preferences, also read by the inline bootstrap in index.html together
+// with the derived "themeOverrides" cache
+ThemeManager.STORAGE_KEYS = ["theme", "themePalette", "themeAccent"];
+
+// Backgrounds from css/base/variables.css, used for contrast checks
+ThemeManager.BACKGROUNDS = {
+  light: "#ffffff",
+  dark: "#0f172a",
+};
+
+// The default palette is variables.css itself
+ThemeManager.themes = {
+  default: { swatch: "#0ea5e9" },
+};
@@ -0,0 +1,174 @@
+/**
+ * Toasts Module
+ * Stack of dismissible notifications behind PortfolioApp.showNotification.
+ * Each toast can carry an action button, closes itself after a duration
+ * that depends on its type, and pauses that countdown while hovered or
+ * focused. Messages are read through the Announcer, so the toast markup
+ * itself is not a live region.
+ */
+
+export class ToastManager {
+  constructor({ i18n, announcer, limit = 4 }) {
+    this.i18n = i18n;
+    this.announcer = announcer;
+    this.limit = limit;
+    this.toasts = [];
+
+    this.stack = document.createElement("section");
+    this.stack.className = "notification-stack";
+    this.stack.dataset.i18nAttr = "aria-label:notifications.region";
+    this.stack.setAttribute("aria-label", this.i18n.t("notifications.region"));
+    document.body.appendChild(this.stack);
+
+    // Escape closes the toast that has focus
+    this.stack.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape") return;
+
+      const toast = this.find(e.target.closest(".notification"));
+      if (toast) {
+        e.preventDefault();
+        this.dismiss(toast);
+      }
+    });
+  }
+
+  // options.duration in ms (0 keeps the toast until it is dismissed),
+  // options.action = { label, onClick } adds a button that also dismisses
+  show(message, type = "info", options = {}) {
+    const { duration = ToastManager.DURATIONS[type], action } = options;
+
+    const element = document.createElement("div");
+    element.className = `notification notification--${type}`;
+
+    const text = document.createElement("p");
+    text.className = "notification__message";
+    text.textContent = message;
+    element.appendChild(text);
+
+    const toast = {
+      element,
+      duration: duration || 0,
+      remaining: duration || 0,
+      startedAt: 0,
+      timer: null,
+      pausedBy: new Set(),
+    };
+
+    if (action) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "notification__action";
+      button.textContent = action.label;
+      button.addEventListener("click", () => {
+        this.dismiss(toast);
+        action.onClick();
+      });
+      element.appendChild(button);
+    }
+
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "notification__close";
+    close.dataset.i18nAttr = "aria-label:notifications.dismiss";
+    close.setAttribute("aria-label", this.i18n.t("notifications.dismiss"));
+    close.innerHTML = '<span aria-hidden="true">&times;</span>';
+    close.addEventListener("click", () => this.dismiss(toast));
+    element.appendChild(close);
+
+    // Reading or reaching for a toast stops its countdown
+    element.addEventListener("mouseenter", () => this.pause(toast, "hover"));
+    element.addEventListener("mouseleave", () => this.resume(toast, "hover"));
+    element.addEventListener("focusin", () => this.pause(toast, "focus"));
+    element.addEventListener("focusout", (e) => {
+      if (!element.contains(e.relatedTarget)) {
+        this.resume(toast, "focus");
+      }
+    });
+
+    this.toasts.push(toast);
+    this.stack.prepend(element);
+
+    // Oldest toasts make room for new ones
+    while (this.toasts.length > this.limit) {
+      this.dismiss(this.toasts[0]);
+    }
+
+    setTimeout(() => {
+      element.classList.add("notification--show");
+    }, 100);
+
+    this.announcer.announce(message, {
+      priority: type === "error" ? "assertive" : "polite",
+    });
+
+    this.start(toast);
+
+    return { dismiss: () => this.dismiss(toast) };
+  }
+
+  start(toast) {
+    if (!toast.duration || toast.pausedBy.size > 0) return;
+
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => this.dismiss(toast), toast.remaining);
+  }
+
+  pause(toast, reason) {
+    if (toast.pausedBy.size === 0 && toast.timer !== null) {
+      clearTimeout(toast.timer);
+      toast.timer = null;
+      toast.remaining = Math.max(
+        toast.remaining - (Date.now() - toast.startedAt),
+        0
+      );
+    }
+
+    toast.pausedBy.add(reason);
+  }
+
+  resume(toast, reason) {
+    toast.pausedBy.delete(reason);
+    this.start(toast);
+  }
+
+  dismiss(toast) {
+    const index = this.toasts.indexOf(toast);
+    if (index === -1) return;
+
+    this.toasts.splice(index, 1);
+    clearTimeout(toast.timer);
+    toast.timer = null;
+
+    // Keep keyboard users inside the stack instead of dropping to <body>
+    if (toast.element.contains(document.activeElement)) {
+      const next = this.toasts[index] || this.toasts[index - 1];
+      if (next) {
+        next.element.querySelector(".notification__close").focus();
+      }
+    }
+
+    toast.element.classList.remove("notification--show");
+    setTimeout(() => toast.element.remove(), 300);
+  }
+
+  dismissAll() {
+    [...this.toasts].forEach((toast) => this.dismiss(toast));
+  }
+
+  find(element) {
+    return this.toasts.find((toast) => toast.element === element) || null;
+  }
+
+  // Oldest first
+  getToasts() {
+    return this.toasts.map((toast) => toast.element);
+  }
+}
+
+// Default time on screen per type, in ms
+ToastManager.DURATIONS = {
+  info: 5000,
+  success: 4000,
+  warning: 7000,
+  error: 8000,
+};
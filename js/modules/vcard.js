@@ -0,0 +1,136 @@
+/**
+ * vCard Module
+ * Builds a vCard 4.0 (RFC 6350) from the schema.org Person that
+ * ContentLoader writes to the page's JSON-LD, so the "Salvar contato" file,
+ * its QR code and the structured data always describe the same contact.
+ */
+
+export class VCard {
+  constructor() {
+    this.properties = [];
+  }
+
+  // Map the JSON-LD Person (see ContentLoader#buildStructuredData)
+  static fromPerson(person) {
+    const card = new VCard();
+    const { address } = person;
+
+    card.add("FN", VCard.escape(person.name));
+    card.add(
+      "N",
+      VCard.structured([person.familyName, person.givenName, "", "", ""])
+    );
+
+    if (person.jobTitle) {
+      card.add("TITLE", VCard.escape(person.jobTitle));
+    }
+    if (person.email) {
+      card.add("EMAIL", VCard.escape(person.email), { TYPE: "work" });
+    }
+    if (person.telephone) {
+      card.add("TEL", `tel:${person.telephone}`, {
+        VALUE: "uri",
+        TYPE: "cell",
+      });
+    }
+    if (address) {
+      card.add(
+        "ADR",
+        VCard.structured([
+          "",
+          "",
+          "",
+          address.addressLocality,
+          address.addressRegion,
+          "",
+          address.addressCountry,
+        ])
+      );
+    }
+
+    [person.url, ...(person.sameAs || [])]
+      .filter(Boolean)
+      .forEach((url) => card.add("URL", url));
+
+    return card;
+  }
+
+  add(name, value, params = {}) {
+    this.properties.push({ name, value, params });
+    return this;
+  }
+
+  // CRLF-separated, with long lines folded as the RFC requires
+  toString() {
+    const lines = [
+      "BEGIN:VCARD",
+      "VERSION:4.0",
+      ...this.properties.map(({ name, value, params }) => {
+        const parameters = Object.entries(params)
+          .map(([key, param]) => `;${key}=${param}`)
+          .join("");
+        return VCard.fold(`${name}${parameters}:${value}`);
+      }),
+      "END:VCARD",
+    ];
+
+    return `${lines.join("\r\n")}\r\n`;
+  }
+
+  toBlob() {
+    return new Blob([this.toString()], { type: "text/vcard;charset=utf-8" });
+  }
+
+  // Text values escape backslashes, commas, semicolons and newlines
+  static escape(value) {
+    return String(value ?? "")
+      .replace(/\\/g, "\\\\")
+      .replace(/,/g, "\\,")
+      .replace(/;/g, "\\;")
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  // Compound values (N, ADR) are ;-separated escaped components
+  static structured(components) {
+    return components.map((component) => VCard.escape(component)).join(";");
+  }
+
+  // At most 75 octets per line, continuation lines start with a space.
+  // Never splits inside a multi-byte character
+  static fold(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = "";
+    let octets = 0;
+
+    Array.from(line).forEach((character) => {
+      const length = encoder.encode(character).length;
+      // Continuation lines lose one octet to the leading space
+      const limit = lines.length === 0 ? 75 : 74;
+
+      if (octets + length > limit) {
+        lines.push(current);
+        current = "";
+        octets = 0;
+      }
+
+      current += character;
+      octets += length;
+    });
+    lines.push(current);
+
+    return lines.join("\r\n ");
+  }
+
+  // "Sandro Júnior" -> "sandro-junior.vcf"
+  static getFileName(name) {
+    const slug = String(name)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+
+    return `${slug || "contato"}.vcf`;
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Core Web Vitals Module
+ * Collects LCP, CLS, INP, FCP and TTFB with PerformanceObserver, attributes
+ * them to the element/section responsible and reports them to a sink
+ */
+
+import { sendAnalyticsPayload } from "./analytics-providers.js";
+
+// Logs every report, used during development
+export class ConsoleVitalsSink {
+  constructor() {
+    this.name = "console";
+  }
+
+  report(metrics) {
+    metrics.forEach((metric) => {
+      console.log(
+        `[vitals] ${metric.name}: ${metric.value} (${metric.rating})`,
+        metric.attribution
+      );
+    });
+  }
+}
+
+// Beacons reports to an endpoint; only with analytics consent
+export class BeaconVitalsSink {
+  constructor(endpoint, { hasConsent = () => false } = {}) {
+    this.name = "beacon";
+    this.endpoint = endpoint;
+    this.hasConsent = hasConsent;
+  }
+
+  report(metrics) {
+    if (!this.hasConsent()) return;
+
+    sendAnalyticsPayload(this.endpoint, {
+      url: window.location.href,
+      metrics,
+    });
+  }
+}
+
+export class NoopVitalsSink {
+  constructor() {
+    this.name = "none";
+  }
+
+  report() {}
+}
+
+// Console on localhost, beacon in production when
+// <meta name="vitals:endpoint" content="..."> is set
+export function createVitalsSink({ endpoint, isDev, hasConsent } = {}) {
+  if (isDev) {
+    return new ConsoleVitalsSink();
+  }
+
+  return endpoint
+    ? new BeaconVitalsSink(endpoint, { hasConsent })
+    : new NoopVitalsSink();
+}
+
+export class VitalsCollector {
+  constructor({ listen, get, sink }) {
+    this.listen = listen;
+    this.get = get;
+    this.sink = sink || createVitalsSink(this.readConfig());
+    this.metrics = {};
+    this.reported = {};
+    this.layoutShifts = [];
+    this.currentShiftWindow = [];
+    this.interactions = new Map();
+    this.listeners = new Set();
+    this.observers = [];
+  }
+
+  mount() {
+    if (typeof PerformanceObserver === "undefined") return;
+
+    this.observeTTFB();
+    this.observe("paint", (entries) => this.handlePaint(entries));
+    this.observe("largest-contentful-paint", (entries) =>
+      this.handleLCP(entries)
+    );
+    this.observe("layout-shift", (entries) => this.handleLayoutShift(entries));
+    this.observe("event", (entries) => this.handleEvents(entries), {
+      durationThreshold: 40,
+    });
+    this.observe("first-input", (entries) => this.handleEvents(entries));
+
+    // LCP, CLS and INP keep changing until the page is hidden
+    this.listen(document, "visibilitychange", () => {
+      if (document.visibilityState === "hidden") {
+        this.report();
+      }
+    });
+    this.listen(window, "pagehide", () => this.report());
+  }
+
+  // Sink settings live in index.html:
+  //   <meta name="vitals:endpoint" content="...">
+  readConfig() {
+    const endpointMeta = document.querySelector('meta[name="vitals:endpoint"]');
+
+    return {
+      endpoint: endpointMeta ? endpointMeta.getAttribute("content") : "",
+      isDev: ["localhost", "127.0.0.1", ""].includes(window.location.hostname),
+      hasConsent: () => {
+        const consent = this.get("consent");
+        return Boolean(consent && consent.has("analytics"));
+      },
+    };
+  }
+
+  observe(type, callback, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (!supported.includes(type)) return;
+
+    try {
+      const observer = new PerformanceObserver((list) =>
+        callback(list.getEntries())
+      );
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (error) {
+      console.warn(`Could not observe ${type}:`, error);
+    }
+  }
+
+  observeTTFB() {
+    const [navigation] = performance.getEntriesByType
+      ? performance.getEntriesByType("navigation")
+      : [];
+    if (!navigation || !(navigation.responseStart > 0)) return;
+
+    this.setMetric(
+      "TTFB",
+      Math.max(navigation.responseStart - (navigation.activationStart || 0), 0),
+      { navigationType: navigation.type },
+      { final: true }
+    );
+  }
+
+  handlePaint(entries) {
+    const fcp = entries.find(
+      (entry) => entry.name === "first-contentful-paint"
+    );
+    if (fcp) {
+      this.setMetric("FCP", fcp.startTime, {}, { final: true });
+    }
+  }
+
+  handleLCP(entries) {
+    const entry = entries[entries.length - 1];
+    if (!entry) return;
+
+    this.setMetric("LCP", entry.startTime, this.describe(entry.element));
+  }
+
+  // CLS is the largest burst of shifts (gaps < 1s, bursts < 5s)
+  handleLayoutShift(entries) {
+    entries.forEach((entry) => {
+      if (entry.hadRecentInput) return;
+
+      const source = (entry.sources || []).find((item) => item.node);
+      const shift = {
+        value: entry.value,
+        startTime: entry.startTime,
+        ...this.describe(source && source.node),
+      };
+      this.layoutShifts.push(shift);
+
+      const windowEntries = this.currentShiftWindow;
+      const first = windowEntries[0];
+      const last = windowEntries[windowEntries.length - 1];
+
+      if (
+        last &&
+        entry.startTime - last.startTime < 1000 &&
+        entry.startTime - first.startTime < 5000
+      ) {
+        windowEntries.push(shift);
+        this.currentShiftWindow = windowEntries;
+      } else {
+        this.currentShiftWindow = [shift];
+      }
+
+      const windowValue = this.currentShiftWindow.reduce(
+        (sum, item) => sum + item.value,
+        0
+      );
+
+      if (!this.metrics.CLS || windowValue > this.metrics.CLS.value) {
+        const largest = this.currentShiftWindow.reduce((a, b) =>
+          b.value > a.value ? b : a
+        );
+        this.setMetric("CLS", windowValue, {
+          element: largest.element,
+          section: largest.section,
+        });
+      }
+    });
+
+    this.notify();
+  }
+
+  // INP approximates the 98th percentile of interaction latency
+  handleEvents(entries) {
+    entries.forEach((entry) => {
+      if (!entry.interactionId) return;
+
+      const existing = this.interactions.get(entry.interactionId);
+      if (!existing || entry.duration > existing.duration) {
+        this.interactions.set(entry.interactionId, {
+          duration: entry.duration,
+          type: entry.name,
+          ...this.describe(entry.target),
+        });
+      }
+    });
+
+    const sorted = [...this.interactions.values()].sort(
+      (a, b) => b.duration - a.duration
+    );
+    const worst =
+      sorted[Math.min(Math.floor(sorted.length / 50), sorted.length - 1)];
+    if (!worst) return;
+
+    this.setMetric("INP", worst.duration, {
+      element: worst.element,
+      section: worst.section,
+      eventType: worst.type,
+    });
+  }
+
+  // "button.project-card__open" in "#projetos"
+  describe(element) {
+    if (!element || element.nodeType !== 1) return {};
+
+    const classes = [...element.classList].slice(0, 2).join(".");
+    const section = element.closest("section[id], footer[id], header");
+
+    return {
+      element: `${element.tagName.toLowerCase()}${
+        element.id ? `#${element.id}` : ""
+      }${classes ? `.${classes}` : ""}`,
+      section: section
+        ? section.id
+          ? `#${section.id}`
+          : section.tagName.toLowerCase()
+        : undefined,
+    };
+  }
+
+  setMetric(name, value, attribution = {}, { final = false } = {}) {
+    const rounded =
+      name === "CLS" ? Number(value.toFixed(4)) : Math.round(value);
+
+    this.metrics[name] = {
+      name,
+      value: rounded,
+      rating: this.rate(name, rounded),
+      attribution,
+    };
+
+    if (final) {
+      this.report([name]);
+    }
+
+    this.notify();
+  }
+
+  rate(name, value) {
+    const [good, poor] = VitalsCollector.THRESHOLDS[name];
+    if (value <= good) return "good";
+    if (value <= poor) return "needs-improvement";
+    return "poor";
+  }
+
+  // Send metrics whose value changed since the last report
+  report(names = Object.keys(this.metrics)) {
+    const metrics = names
+      .map((name) => this.metrics[name])
+      .filter(
+        (metric) => metric && this.reported[metric.name] !== metric.value
+      );
+    if (metrics.length === 0) return;
+
+    metrics.forEach((metric) => {
+      this.reported[metric.name] = metric.value;
+    });
+
+    try {
+      this.sink.report(metrics);
+    } catch (error) {
+      console.warn("Could not report web vitals:", error);
+    }
+  }
+
+  // Subscribe to metric updates; returns an unsubscribe function
+  onUpdate(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.listeners.forEach((callback) => callback(this.getMetrics()));
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  getLayoutShifts() {
+    return [...this.layoutShifts];
+  }
+
+  unmount() {
+    this.observers.forEach((observer) => observer.disconnect());
+    this.observers = [];
+    this.listeners.clear();
+  }
+}
+
+// [good, poor] boundaries from web.dev
+VitalsCollector.THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800],
+};
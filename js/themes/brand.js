@@ -0,0 +1,28 @@
+/**
+ * Brand palette
+ * Default surfaces from variables.css with the indigo brand accent
+ */
+
+import { ThemeManager } from "../modules/theme.js";
+
+ThemeManager.registerTheme("brand", {
+  swatch: "#4f46e5",
+  light: {
+    "--color-primary": "#4f46e5",
+    "--color-primary-hover": "#4338ca",
+    "--color-primary-light": "#a5b4fc",
+    "--color-primary-foreground": "#ffffff",
+    "--color-accent": "#eef2ff",
+    "--color-accent-foreground": "#312e81",
+    "--color-ring": "#4f46e5",
+  },
+  dark: {
+    "--color-primary": "#818cf8",
+    "--color-primary-hover": "#a5b4fc",
+    "--color-primary-light": "#c7d2fe",
+    "--color-primary-foreground": "#0f172a",
+    "--color-accent": "#1e1b4b",
+    "--color-accent-foreground": "#c7d2fe",
+    "--color-ring": "#818cf8",
+  },
+});
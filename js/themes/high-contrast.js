@@ -0,0 +1,48 @@
+/**
+ * High contrast palette
+ * Pure black/white surfaces with borders and links that pass WCAG AAA
+ */
+
+import { ThemeManager } from "../modules/theme.js";
+
+ThemeManager.registerTheme("high-contrast", {
+  swatch: "#000000",
+  light: {
+    "--color-background": "#ffffff",
+    "--color-foreground": "#000000",
+    "--color-card": "#ffffff",
+    "--color-card-foreground": "#000000",
+    "--color-secondary": "#f2f2f2",
+    "--color-secondary-foreground": "#000000",
+    "--color-muted": "#d9d9d9",
+    "--color-muted-foreground": "#1f1f1f",
+    "--color-accent": "#e6f0ff",
+    "--color-accent-foreground": "#000000",
+    "--color-border": "#000000",
+    "--color-input": "#ffffff",
+    "--color-ring": "#000000",
+    "--color-primary": "#0040a0",
+    "--color-primary-hover": "#002d70",
+    "--color-primary-light": "#4d7fcc",
+    "--color-primary-foreground": "#ffffff",
+  },
+  dark: {
+    "--color-background": "#000000",
+    "--color-foreground": "#ffffff",
+    "--color-card": "#000000",
+    "--color-card-foreground": "#ffffff",
+    "--color-secondary": "#1a1a1a",
+    "--color-secondary-foreground": "#ffffff",
+    "--color-muted": "#333333",
+    "--color-muted-foreground": "#e6e6e6",
+    "--color-accent": "#001a40",
+    "--color-accent-foreground": "#ffffff",
+    "--color-border": "#ffffff",
+    "--color-input": "#000000",
+    "--color-ring": "#ffffff",
+    "--color-primary": "#8fd3ff",
+    "--color-primary-hover": "#c2e8ff",
+    "--color-primary-light": "#c2e8ff",
+    "--color-primary-foreground": "#000000",
+  },
+});
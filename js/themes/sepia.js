@@ -0,0 +1,48 @@
+/**
+ * Sepia palette
+ * Warm paper tones for long reading, with a sienna accent
+ */
+
+import { ThemeManager } from "../modules/theme.js";
+
+ThemeManager.registerTheme("sepia", {
+  swatch: "#a0522d",
+  light: {
+    "--color-background": "#f4ecd8",
+    "--color-foreground": "#433422",
+    "--color-card": "#fbf5e6",
+    "--color-card-foreground": "#433422",
+    "--color-secondary": "#eadfc6",
+    "--color-secondary-foreground": "#5b4636",
+    "--color-muted": "#e0d3b8",
+    "--color-muted-foreground": "#6f5b45",
+    "--color-accent": "#efe4cc",
+    "--color-accent-foreground": "#5b3a1a",
+    "--color-border": "#dccfb2",
+    "--color-input": "#efe4cc",
+    "--color-ring": "#a0522d",
+    "--color-primary": "#a0522d",
+    "--color-primary-hover": "#8b4513",
+    "--color-primary-light": "#d2a679",
+    "--color-primary-foreground": "#ffffff",
+  },
+  dark: {
+    "--color-background": "#2b2118",
+    "--color-foreground": "#f1e7d0",
+    "--color-card": "#362a1f",
+    "--color-card-foreground": "#f1e7d0",
+    "--color-secondary": "#45362a",
+    "--color-secondary-foreground": "#e8dcc2",
+    "--color-muted": "#57473a",
+    "--color-muted-foreground": "#bfae94",
+    "--color-accent": "#362a1f",
+    "--color-accent-foreground": "#e0b98a",
+    "--color-border": "#4a3b2e",
+    "--color-input": "#362a1f",
+    "--color-ring": "#d9a066",
+    "--color-primary": "#d9a066",
+    "--color-primary-hover": "#ecc596",
+    "--color-primary-light": "#ecc596",
+    "--color-primary-foreground": "#2b2118",
+  },
+});
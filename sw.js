@@ -0,0 +1,187 @@
+/**
+ * Service Worker
+ * Precaches the app shell, caches images and fonts at runtime and serves
+ * offline.html when a page can't be loaded. Bump CACHE_VERSION on every
+ * deploy that changes a precached file so visitors get the update prompt.
+ */
+
+const CACHE_VERSION = "v12";
+const PRECACHE = `precache-${CACHE_VERSION}`;
+const IMAGES_CACHE = `images-${CACHE_VERSION}`;
+const FONTS_CACHE = `fonts-${CACHE_VERSION}`;
+const MAX_IMAGES = 60;
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "offline.html",
+  "portfolio.json",
+  "manifest.webmanifest",
+  "assets/icons/icon-light.svg",
+  "assets/icons/icon-dark.svg",
+  "assets/icons/icon-maskable.svg",
+  "css/base/reset.css",
+  "css/base/variables.css",
+  "css/layouts/grid.css",
+  "css/components/navbar.css",
+  "css/components/buttons.css",
+  "css/components/cards.css",
+  "css/components/skills.css",
+  "css/components/timeline.css",
+  "css/components/projects.css",
+  "css/components/footer.css",
+  "css/components/contact-form.css",
+  "css/components/consent.css",
+  "css/components/accessibility.css",
+  "css/components/notifications.css",
+  "css/components/perf-overlay.css",
+  "css/layouts/main.css",
+  "css/layouts/print.css",
+  "js/modules/error-reporter.js",
+  "js/modules/event-bus.js",
+  "js/modules/component-registry.js",
+  "js/modules/scroll-scheduler.js",
+  "js/modules/i18n.js",
+  "js/modules/announcer.js",
+  "js/modules/toasts.js",
+  "js/locales/pt-BR.js",
+  "js/locales/en-US.js",
+  "js/modules/theme.js",
+  "js/themes/high-contrast.js",
+  "js/themes/sepia.js",
+  "js/themes/brand.js",
+  "js/modules/accessibility.js",
+  "js/components/navbar.js",
+  "js/components/scroll-progress.js",
+  "js/components/projects.js",
+  "js/components/skills.js",
+  "js/components/courses.js",
+  "js/components/timeline.js",
+  "js/modules/contact-transports.js",
+  "js/components/contact-form.js",
+  "js/modules/animations.js",
+  "js/modules/content.js",
+  "js/modules/print.js",
+  "js/modules/vcard.js",
+  "js/modules/qr-code.js",
+  "js/modules/calendar-event.js",
+  "js/components/contact-card.js",
+  "js/modules/router.js",
+  "js/modules/consent.js",
+  "js/modules/analytics-providers.js",
+  "js/modules/analytics.js",
+  "js/modules/vitals.js",
+  "js/components/perf-overlay.js",
+  "js/modules/pwa.js",
+  "js/app.js",
+  "js/main.js",
+];
+
+self.addEventListener("install", (event) => {
+  // The new version waits until the page asks it to take over
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [PRECACHE, IMAGES_CACHE, FONTS_CACHE];
+
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => !current.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (
+    url.origin === "https://fonts.googleapis.com" ||
+    url.origin === "https://fonts.gstatic.com"
+  ) {
+    event.respondWith(cacheFirst(request, FONTS_CACHE));
+  } else if (request.destination === "image") {
+    event.respondWith(cacheFirst(request, IMAGES_CACHE, MAX_IMAGES));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(precacheFirst(request));
+  }
+});
+
+// Pages: the precached shell matches the precached scripts, so serve it
+// first; unknown pages go to the network and fall back to offline.html
+async function handleNavigation(request) {
+  const cached = await caches.match(request, {
+    cacheName: PRECACHE,
+    ignoreSearch: true,
+  });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    return caches.match("offline.html", { cacheName: PRECACHE });
+  }
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+
+    // Opaque (cross-origin no-cors) responses report status 0
+    if (response.ok || response.type === "opaque") {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+
+      if (maxEntries) {
+        trimCache(cache, maxEntries);
+      }
+    }
+
+    return response;
+  } catch (error) {
+    return Response.error();
+  }
+}
+
+// App shell files come from this version's precache so they never mix
+// with files from a newer deploy; anything else goes to the network
+async function precacheFirst(request) {
+  const cached = await caches.match(request, {
+    cacheName: PRECACHE,
+    ignoreSearch: true,
+  });
+
+  return cached || fetch(request);
+}
+
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .slice(0, Math.max(keys.length - maxEntries, 0))
+      .map((key) => cache.delete(key))
+  );
+}
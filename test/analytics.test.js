@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { AnalyticsManager } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+import { createServices } from "./helpers/app.js";
+
+describe("AnalyticsManager", () => {
+  let env;
+  let services;
+  let consent;
+  let batches;
+  let analytics;
+
+  beforeEach(() => {
+    env = setupDom();
+    services = createServices();
+    consent = { granted: false, has: () => consent.granted };
+    batches = [];
+    analytics = new AnalyticsManager({
+      bus: services.bus,
+      listen: () => {},
+      get: (name) => (name === "consent" ? consent : null),
+      provider: { name: "test", send: (events) => batches.push(events) },
+    });
+  });
+
+  afterEach(() => {
+    analytics.clearQueue();
+    env.cleanup();
+  });
+
+  const reported = () =>
+    services.events
+      .filter(({ type }) => type === "analyticsEvent")
+      .map(({ detail }) => [detail.event.name, detail.queued]);
+
+  it("reports every event on the bus, queued or not", () => {
+    analytics.trackThemeToggle("dark");
+    consent.granted = true;
+    analytics.trackThemeToggle("light");
+
+    assert.deepEqual(reported(), [
+      ["theme_toggle", false],
+      ["theme_toggle", true],
+    ]);
+
+    analytics.flush();
+    assert.deepEqual(
+      batches.flat().map((event) => event.props),
+      [{ theme: "light" }]
+    );
+  });
+
+  it("reports a section seen before consent on its next view", () => {
+    analytics.trackSectionView("sobre");
+    consent.granted = true;
+    analytics.trackSectionView("sobre");
+    analytics.trackSectionView("sobre");
+
+    assert.deepEqual(reported(), [
+      ["section_view", false],
+      ["section_view", true],
+    ]);
+  });
+});
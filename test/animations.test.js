@@ -0,0 +1,212 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { AnimationManager } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+import { createServices } from "./helpers/app.js";
+
+const REDUCED_QUERY = "(prefers-reduced-motion: reduce)";
+
+const HTML = `
+  <main>
+    <article class="card" data-animate="slide-left">Sobre</article>
+    <div class="skills__grid" data-animate-stagger="100">
+      <span class="skill-badge" data-animate="fade-up">HTML</span>
+      <span class="skill-badge" data-animate="fade-up">CSS</span>
+    </div>
+    <ol class="timeline__list"></ol>
+  </main>`;
+
+describe("AnimationManager", () => {
+  let env;
+  let services;
+  let calls;
+
+  // jsdom has no Web Animations API; record what would have run
+  function stubElementAnimate() {
+    calls = [];
+    window.HTMLElement.prototype.animate = function (keyframes, options) {
+      calls.push({ element: this, keyframes, options });
+      return {
+        finished: new Promise(() => {}),
+        cancel() {},
+        finish() {},
+      };
+    };
+  }
+
+  function mountAnimations({ reduced = false } = {}) {
+    env = setupDom({ html: HTML, media: { [REDUCED_QUERY]: reduced } });
+    stubElementAnimate();
+    services = createServices();
+    services.registry.register("animations", AnimationManager);
+    return services.registry.mount("animations");
+  }
+
+  // The manager's scroll observer, reporting elements as visible
+  function reveal(...elements) {
+    const [observer] = env.intersectionObservers;
+    observer.trigger(elements.map((target) => ({ target })));
+  }
+
+  afterEach(() => env.cleanup());
+
+  describe("with full motion", () => {
+    let animations;
+
+    beforeEach(() => {
+      animations = mountAnimations();
+    });
+
+    it("enables the hidden start state for [data-animate] elements", () => {
+      assert.ok(
+        document.documentElement.classList.contains("animations-enabled")
+      );
+      assert.equal(animations.motionLevel, "full");
+    });
+
+    it("slides elements in with their preset", () => {
+      const card = document.querySelector(".card");
+
+      reveal(card);
+
+      assert.equal(card.dataset.animateState, "in");
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].keyframes[0].transform, "translateX(-30px)");
+    });
+
+    it("staggers elements revealed together", () => {
+      const badges = document.querySelectorAll(".skill-badge");
+
+      reveal(...badges);
+
+      assert.deepEqual(
+        calls.map(({ options }) => options.delay),
+        [0, 100]
+      );
+    });
+
+    it("plays custom keyframes as given", () => {
+      const card = document.querySelector(".card");
+      const keyframes = [{ height: "100px" }, { height: "300px" }];
+
+      animations.animate(card, keyframes, { duration: 400 });
+
+      assert.equal(calls[0].keyframes, keyframes);
+      assert.equal(calls[0].options.duration, 400);
+    });
+
+    it("lifts cards on hover", () => {
+      const card = document.querySelector(".card");
+
+      card.dispatchEvent(new window.MouseEvent("mouseenter"));
+
+      assert.equal(card.style.transform, "translateY(-2px)");
+    });
+
+    it("observes what portfolio.json rendered once content loads", () => {
+      const [observer] = env.intersectionObservers;
+      const project = document.createElement("div");
+      project.className = "project-card";
+      project.dataset.animate = "fade-up";
+      document.body.append(project);
+
+      assert.equal(observer.targets.has(project), false);
+
+      services.bus.emit("contentLoaded", { data: {} });
+
+      assert.equal(observer.targets.has(project), true);
+    });
+
+    it("reveals elements a component renders after the content loaded", async () => {
+      services.bus.emit("contentLoaded", { data: {} });
+
+      const group = document.createElement("li");
+      group.innerHTML = '<article data-animate="fade-up">2023</article>';
+      document.querySelector(".timeline__list").append(group);
+      // New elements are picked up by a MutationObserver
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const entry = group.firstElementChild;
+      assert.ok(env.intersectionObservers[0].targets.has(entry));
+
+      reveal(entry);
+      assert.equal(entry.dataset.animateState, "in");
+    });
+  });
+
+  describe("with reduced motion", () => {
+    let animations;
+
+    beforeEach(() => {
+      animations = mountAnimations({ reduced: true });
+    });
+
+    it("follows prefers-reduced-motion", () => {
+      assert.equal(animations.motionLevel, "reduced");
+      assert.ok(animations.respectsReducedMotion);
+    });
+
+    it("fades without movement", () => {
+      const card = document.querySelector(".card");
+
+      reveal(card);
+
+      assert.equal(card.dataset.animateState, "in");
+      assert.deepEqual(calls[0].keyframes, [{ opacity: 0 }, { opacity: 1 }]);
+    });
+
+    it("skips custom keyframes, which move the layout", async () => {
+      const card = document.querySelector(".card");
+
+      await animations.animate(card, [{ height: "0px" }, { height: "50px" }]);
+
+      assert.equal(calls.length, 0);
+    });
+
+    it("skips the hover lift and the button ripple", () => {
+      const card = document.querySelector(".card");
+      const button = document.createElement("button");
+      const event = { currentTarget: button, clientX: 0, clientY: 0 };
+
+      card.dispatchEvent(new window.MouseEvent("mouseenter"));
+      animations.createRippleEffect(event);
+
+      assert.equal(card.style.transform, "");
+      assert.equal(button.children.length, 0);
+    });
+
+    it("restores full motion when the OS setting is turned off", () => {
+      env.media.set(REDUCED_QUERY, false);
+
+      assert.equal(animations.motionLevel, "full");
+      assert.ok(!animations.respectsReducedMotion);
+    });
+  });
+
+  describe("with motion turned off in the accessibility panel", () => {
+    let animations;
+
+    beforeEach(() => {
+      animations = mountAnimations();
+      services.bus.emit("accessibilityChanged", { motion: "none" });
+    });
+
+    it("shows every element in its final state", () => {
+      assert.equal(animations.motionLevel, "none");
+      assert.ok(
+        !document.documentElement.classList.contains("animations-enabled")
+      );
+    });
+
+    it("runs no animations", async () => {
+      const card = document.querySelector(".card");
+
+      reveal(card);
+      await animations.animate(card, "fade-up");
+
+      assert.equal(card.dataset.animateState, "in");
+      assert.equal(calls.length, 0);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { Announcer } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+
+describe("Announcer", () => {
+  let env;
+  let announcer;
+  let polite;
+
+  // Text of the polite region at each step of the queue
+  function readAll(steps) {
+    return Array.from({ length: steps }, () => {
+      mock.timers.tick(100);
+      const text = polite.textContent;
+      mock.timers.tick(1000);
+      return text;
+    });
+  }
+
+  beforeEach(() => {
+    env = setupDom();
+    mock.timers.enable({ apis: ["setTimeout"] });
+    announcer = new Announcer();
+    polite = document.querySelector('[data-announcer="polite"]');
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    env.cleanup();
+  });
+
+  it("creates hidden polite and assertive regions up front", () => {
+    const regions = document.querySelectorAll(".announcer [aria-live]");
+
+    assert.deepEqual(
+      Array.from(regions, (region) => region.getAttribute("aria-live")),
+      ["polite", "assertive"]
+    );
+    regions.forEach((region) => {
+      assert.ok(region.classList.contains("sr-only"));
+      assert.equal(region.textContent, "");
+    });
+  });
+
+  it("reads queued messages one at a time, in order", () => {
+    announcer.announce("Primeira");
+    announcer.announce("Segunda");
+    announcer.announce("Terceira");
+
+    assert.deepEqual(readAll(3), ["Primeira", "Segunda", "Terceira"]);
+  });
+
+  it("drops a message that is already queued or being read", () => {
+    announcer.announce("Tema escuro ativado");
+    announcer.announce("Tema claro ativado");
+    announcer.announce("Tema escuro ativado");
+    announcer.announce("Tema claro ativado");
+
+    assert.deepEqual(readAll(3), [
+      "Tema escuro ativado",
+      "Tema claro ativado",
+      "",
+    ]);
+  });
+
+  it("repeats a message once the previous one was read", () => {
+    announcer.announce("3 projetos encontrados");
+    readAll(1);
+
+    announcer.announce("3 projetos encontrados");
+
+    assert.equal(polite.textContent, "");
+    assert.deepEqual(readAll(1), ["3 projetos encontrados"]);
+  });
+
+  it("keeps the channels independent", () => {
+    const assertive = document.querySelector('[data-announcer="assertive"]');
+
+    announcer.announce("Carregando");
+    announcer.announce("Erro ao carregar", { priority: "assertive" });
+    mock.timers.tick(100);
+
+    assert.equal(polite.textContent, "Carregando");
+    assert.equal(assertive.textContent, "Erro ao carregar");
+  });
+
+  it("ignores empty messages and unknown priorities", () => {
+    announcer.announce("");
+    announcer.announce("Oi", { priority: "rude" });
+
+    assert.deepEqual(readAll(1), [""]);
+  });
+
+  it("clears pending messages", () => {
+    announcer.announce("Primeira");
+    announcer.announce("Segunda");
+
+    announcer.clear();
+
+    assert.deepEqual(readAll(2), ["", ""]);
+  });
+});
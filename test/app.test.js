@@ -0,0 +1,73 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { Announcer, PortfolioApp } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+
+describe("PortfolioApp", () => {
+  let env;
+
+  beforeEach(() => {
+    env = setupDom();
+    mock.timers.enable({ apis: ["setTimeout"] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    env.cleanup();
+  });
+
+  describe("announceToScreenReader", () => {
+    let app;
+
+    // Only the announcer is needed, so skip booting every component
+    beforeEach(() => {
+      app = Object.create(PortfolioApp.prototype);
+      app.announcer = new Announcer();
+    });
+
+    const regions = () => document.querySelectorAll("[aria-live]");
+    const region = (priority) =>
+      document.querySelector(`[aria-live="${priority}"]`);
+
+    it("reads messages through one persistent polite region", () => {
+      app.announceToScreenReader("Tema escuro ativado");
+      mock.timers.tick(100);
+
+      assert.equal(regions().length, 2);
+      assert.equal(region("polite").textContent, "Tema escuro ativado");
+      assert.equal(region("polite").getAttribute("aria-atomic"), "true");
+    });
+
+    it("keeps the live regions after the message is read", () => {
+      app.announceToScreenReader("Tema escuro ativado");
+      mock.timers.tick(100);
+      mock.timers.tick(1000);
+
+      assert.equal(regions().length, 2);
+      assert.equal(region("polite").textContent, "");
+    });
+
+    it("does not stack regions when announcing in quick succession", () => {
+      app.announceToScreenReader("Tema escuro ativado");
+      mock.timers.tick(100);
+      mock.timers.tick(400);
+      app.announceToScreenReader("Tema claro ativado");
+
+      mock.timers.tick(600);
+      assert.equal(regions().length, 2);
+      assert.equal(region("polite").textContent, "");
+
+      mock.timers.tick(100);
+      assert.equal(region("polite").textContent, "Tema claro ativado");
+    });
+
+    it("sends assertive announcements to their own region", () => {
+      app.announceToScreenReader("Falha ao enviar", { priority: "assertive" });
+      mock.timers.tick(100);
+
+      assert.equal(region("assertive").textContent, "Falha ao enviar");
+      assert.equal(region("polite").textContent, "");
+    });
+  });
+});
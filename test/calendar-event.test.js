@@ -0,0 +1,79 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { CalendarEvent } from "../js/index.js";
+
+const PERSON = {
+  name: "Sandro Júnior",
+  url: "https://sandrojr26.github.io",
+  email: "sandrojkl26@hotmail.com",
+};
+
+// Friday, October 16th 2026, 15:30 local time
+const NOW = new Date(2026, 9, 16, 15, 30);
+
+describe("CalendarEvent", () => {
+  it("schedules a conversation with the JSON-LD Person", () => {
+    const lines = CalendarEvent.conversationWith(PERSON, {
+      summary: "Conversa com Sandro Júnior",
+      description: "Horário sugerido; ajuste à vontade",
+      now: NOW,
+    })
+      .toString()
+      .split("\r\n");
+
+    assert.deepEqual(lines.slice(0, 5), [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//sandrojr26//Portfolio//PT-BR",
+      "CALSCALE:GREGORIAN",
+      "BEGIN:VEVENT",
+    ]);
+    assert.deepEqual(lines.slice(5), [
+      `UID:${CalendarEvent.formatUtc(NOW)}-conversa@sandrojr26.github.io`,
+      `DTSTAMP:${CalendarEvent.formatUtc(NOW)}`,
+      "DTSTART:20261019T100000",
+      "DURATION:PT30M",
+      "SUMMARY:Conversa com Sandro Júnior",
+      "DESCRIPTION:Horário sugerido\\; ajuste à vontade",
+      'ATTENDEE;CN="Sandro Júnior":mailto:sandrojkl26@hotmail.com',
+      "URL:https://sandrojr26.github.io",
+      "END:VEVENT",
+      "END:VCALENDAR",
+      "",
+    ]);
+  });
+
+  it("leaves out missing fields", () => {
+    const event = CalendarEvent.conversationWith(
+      { name: "Sandro" },
+      { summary: "Conversa", now: NOW }
+    ).toString();
+
+    assert.match(event, /-conversa@localhost\r\n/);
+    assert.match(event, /SUMMARY:Conversa\r\nEND:VEVENT/);
+  });
+
+  it("suggests 10:00 on the next weekday", () => {
+    const slot = (date) =>
+      CalendarEvent.formatLocal(CalendarEvent.nextSlot(date));
+
+    assert.equal(slot(new Date(2026, 9, 19, 8, 0)), "20261020T100000");
+    assert.equal(slot(NOW), "20261019T100000");
+    assert.equal(slot(new Date(2026, 9, 17, 9, 0)), "20261019T100000");
+  });
+
+  it("formats the timestamp in UTC", () => {
+    assert.equal(
+      CalendarEvent.formatUtc(new Date("2026-10-19T13:05:09.250Z")),
+      "20261019T130509Z"
+    );
+  });
+
+  it("names the file after the contact", () => {
+    assert.equal(
+      CalendarEvent.getFileName("Sandro Júnior"),
+      "conversa-sandro-junior.ics"
+    );
+  });
+});
@@ -0,0 +1,231 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { ContactCard } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+import { createServices } from "./helpers/app.js";
+
+const HTML = `
+  <div class="contact-links">
+    <div class="contact-item">
+      <a class="contact-link" href="mailto:sandrojkl26@hotmail.com">
+        sandrojkl26@hotmail.com
+      </a>
+      <button type="button" class="contact-item__copy"
+        data-copy="sandrojkl26@hotmail.com"></button>
+    </div>
+  </div>
+  <button type="button" data-contact-card="download" disabled></button>
+  <button type="button" data-contact-card="qr" aria-expanded="false" disabled>
+  </button>
+  <button type="button" data-contact-card="event" disabled></button>
+  <figure id="contact-qr" hidden>
+    <div class="contact-card__qr-code"></div>
+  </figure>`;
+
+const PERSON = {
+  name: "Sandro Júnior",
+  givenName: "Sandro",
+  familyName: "Júnior",
+  email: "sandrojkl26@hotmail.com",
+};
+
+// Stands in for ContentLoader once portfolio.json has loaded
+class ContentStub {
+  getData() {
+    return { profile: PERSON };
+  }
+
+  buildStructuredData({ profile }) {
+    return { ...profile };
+  }
+}
+
+describe("ContactCard", () => {
+  let env;
+  let services;
+  let app;
+  let card;
+
+  const button = (action) =>
+    document.querySelector(`[data-contact-card="${action}"]`);
+
+  function mountCard({ content = true } = {}) {
+    app = { showNotification: mock.fn() };
+    services = createServices({ app });
+    if (content) {
+      services.registry.register("content", ContentStub);
+    }
+    services.registry.register("contactCard", ContactCard);
+    services.registry.mountAll();
+    card = services.registry.get("contactCard");
+  }
+
+  beforeEach(() => {
+    env = setupDom({ html: HTML });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    env.cleanup();
+  });
+
+  it("stays disabled until the contact data is loaded", () => {
+    mountCard({ content: false });
+
+    assert.equal(button("download").disabled, true);
+    assert.equal(button("qr").disabled, true);
+    assert.equal(button("event").disabled, true);
+  });
+
+  it("enables the actions when content is ready", () => {
+    mountCard();
+
+    assert.equal(button("download").disabled, false);
+    assert.equal(button("qr").disabled, false);
+    assert.equal(button("event").disabled, false);
+  });
+
+  describe("download", () => {
+    let clicked;
+
+    beforeEach(() => {
+      clicked = [];
+      mock.method(URL, "createObjectURL", () => "blob:vcard");
+      mock.method(URL, "revokeObjectURL", () => {});
+      mock.method(window.HTMLAnchorElement.prototype, "click", function () {
+        clicked.push({ href: this.href, download: this.download });
+      });
+      mock.timers.enable({ apis: ["setTimeout"] });
+      mountCard();
+    });
+
+    afterEach(() => mock.timers.reset());
+
+    it("saves a .vcf named after the contact", async () => {
+      button("download").click();
+
+      assert.deepEqual(clicked, [
+        { href: "blob:vcard", download: "sandro-junior.vcf" },
+      ]);
+
+      const [blob] = URL.createObjectURL.mock.calls[0].arguments;
+      assert.equal(blob.type, "text/vcard;charset=utf-8");
+      assert.match(await blob.text(), /FN:Sandro Júnior\r\nN:Júnior;Sandro/);
+    });
+
+    it("saves a conversation with the contact as an .ics", async () => {
+      services.i18n.applyLocale("en-US", { persist: false });
+
+      button("event").click();
+
+      assert.deepEqual(clicked, [
+        { href: "blob:vcard", download: "conversa-sandro-junior.ics" },
+      ]);
+
+      const [blob] = URL.createObjectURL.mock.calls[0].arguments;
+      assert.equal(blob.type, "text/calendar;charset=utf-8");
+      const event = await blob.text();
+      assert.match(event, /SUMMARY:Call with Sandro Júnior\r\n/);
+      assert.match(event, /mailto:sandrojkl26@hotmail\.com/);
+    });
+
+    it("releases the file afterwards", () => {
+      button("download").click();
+      assert.equal(URL.revokeObjectURL.mock.callCount(), 0);
+
+      mock.timers.tick(1000);
+      assert.equal(URL.revokeObjectURL.mock.callCount(), 1);
+    });
+  });
+
+  describe("QR code", () => {
+    beforeEach(() => mountCard());
+
+    it("renders the vCard when opened", () => {
+      const figure = document.getElementById("contact-qr");
+
+      button("qr").click();
+
+      assert.equal(figure.hidden, false);
+      assert.equal(button("qr").getAttribute("aria-expanded"), "true");
+      assert.ok(figure.querySelector(".contact-card__qr-code svg"));
+
+      button("qr").click();
+
+      assert.equal(figure.hidden, true);
+      assert.equal(button("qr").getAttribute("aria-expanded"), "false");
+    });
+
+    it("redraws an open code when the content changes", () => {
+      button("qr").click();
+      const before = document.querySelector("#contact-qr svg");
+
+      services.bus.emit("contentLoaded", {
+        data: { profile: { ...PERSON, jobTitle: "Front-End Developer" } },
+      });
+
+      const after = document.querySelector("#contact-qr svg");
+      assert.notEqual(after, before);
+      assert.notEqual(
+        after.querySelector("path").getAttribute("d"),
+        before.querySelector("path").getAttribute("d")
+      );
+    });
+  });
+
+  describe("copy", () => {
+    const copyButton = () => document.querySelector("[data-copy]");
+    // copy() is async; wait for the clipboard promise to settle
+    const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+    function setClipboard(writeText) {
+      Object.defineProperty(window.navigator, "clipboard", {
+        value: writeText ? { writeText } : undefined,
+        configurable: true,
+      });
+    }
+
+    beforeEach(() => mountCard());
+
+    it("copies the address and confirms it", async () => {
+      const writeText = mock.fn(async () => {});
+      setClipboard(writeText);
+
+      copyButton().click();
+      await settle();
+
+      assert.deepEqual(writeText.mock.calls[0].arguments, [
+        "sandrojkl26@hotmail.com",
+      ]);
+      const [message, type] = app.showNotification.mock.calls[0].arguments;
+      assert.equal(type, "success");
+      assert.match(message, /sandrojkl26@hotmail\.com/);
+    });
+
+    it("reports a failed copy with the value to copy by hand", async () => {
+      setClipboard(async () => {
+        throw new Error("Denied");
+      });
+
+      copyButton().click();
+      await settle();
+
+      const [message, type] = app.showNotification.mock.calls[0].arguments;
+      assert.equal(type, "error");
+      assert.match(message, /sandrojkl26@hotmail\.com/);
+    });
+
+    it("falls back to a selection without the Clipboard API", async () => {
+      setClipboard(null);
+      document.execCommand = mock.fn(() => true);
+
+      copyButton().click();
+      await settle();
+
+      assert.deepEqual(document.execCommand.mock.calls[0].arguments, ["copy"]);
+      assert.equal(app.showNotification.mock.calls[0].arguments[1], "success");
+      assert.equal(document.querySelector("textarea"), null);
+    });
+  });
+});
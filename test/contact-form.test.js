@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { ContactFormComponent } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+import { createServices } from "./helpers/app.js";
+
+const HTML = `
+  <form class="contact-form" data-transport="mock">
+    <input type="text" id="contact-name" name="name" required>
+    <p id="contact-name-error" hidden></p>
+    <input type="email" id="contact-email" name="email" required>
+    <p id="contact-email-error" hidden></p>
+    <textarea id="contact-message" name="message" required></textarea>
+    <span class="contact-form__counter"></span>
+    <p id="contact-message-error" hidden></p>
+    <input type="text" id="contact-website" name="website">
+    <button type="submit"></button>
+  </form>`;
+
+const DRAFT = {
+  name: "Ana",
+  email: "ana@example.test",
+  message: "Olá! Vi seu portfólio.",
+};
+
+describe("ContactFormComponent", () => {
+  let env;
+  let app;
+  let form;
+  let send;
+
+  function mountForm() {
+    app = { showNotification: mock.fn() };
+    const services = createServices({ app });
+    services.i18n.applyLocale("en-US", { persist: false });
+    services.registry.register("contactForm", ContactFormComponent);
+    services.registry.mountAll();
+
+    form = services.registry.get("contactForm");
+    send = mock.fn(async () => ({ status: "sent" }));
+    form.transport = { send };
+  }
+
+  function type(values) {
+    Object.entries(values).forEach(([name, value]) => {
+      const field = document.querySelector(`[name="${name}"]`);
+      field.value = value;
+      field.dispatchEvent(new window.Event("input"));
+    });
+  }
+
+  beforeEach(() => {
+    env = setupDom({ html: HTML });
+    mock.timers.enable({ apis: ["Date", "setTimeout"] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+    env.cleanup();
+  });
+
+  it("times the spam check from the first input, not the page load", async () => {
+    mountForm();
+    mock.timers.tick(60000);
+
+    type(DRAFT);
+    await form.handleSubmit();
+    assert.equal(send.mock.callCount(), 0);
+
+    type(DRAFT);
+    mock.timers.tick(3000);
+    await form.handleSubmit();
+    assert.equal(send.mock.callCount(), 1);
+  });
+
+  it("sends a restored draft right away", async () => {
+    localStorage.setItem(
+      "contactDraft",
+      JSON.stringify({ ...DRAFT, startedAt: Date.now() - 60000 })
+    );
+    mountForm();
+
+    await form.handleSubmit();
+
+    assert.deepEqual(send.mock.calls[0].arguments[0], DRAFT);
+  });
+
+  it("clears the draft of a submission it drops as spam", async () => {
+    mountForm();
+    type(DRAFT);
+    mock.timers.tick(500);
+    assert.ok(localStorage.getItem("contactDraft"));
+
+    await form.handleSubmit();
+
+    assert.equal(send.mock.callCount(), 0);
+    assert.equal(localStorage.getItem("contactDraft"), null);
+    assert.equal(app.showNotification.mock.calls[0].arguments[1], "success");
+  });
+});
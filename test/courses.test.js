@@ -0,0 +1,233 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { CoursesComponent } from "../js/index.js";
+import { setupDom, templates } from "./helpers/dom.js";
+import { createServices, loadedContent } from "./helpers/app.js";
+
+const HTML = `
+  <p class="courses__total"></p>
+  <select id="courses-sort">
+    <option value="date"></option>
+    <option value="hours"></option>
+  </select>
+  <div id="courses-list" class="courses" data-page-size="2"></div>
+  <button type="button" class="courses__toggle" aria-expanded="false" hidden>
+    <span data-i18n="courses.showMore"></span>
+  </button>
+
+  <div id="certificate-dialog" hidden>
+    <div class="project-dialog__panel">
+      <button type="button" data-dialog-close></button>
+      <h3 class="project-dialog__title"></h3>
+      <img class="certificate-dialog__image" alt="">
+      <a class="certificate-dialog__link"></a>
+    </div>
+  </div>
+
+  ${templates("course-item-template")}`;
+
+const DATA = {
+  courses: [
+    {
+      id: "html-css",
+      title: "HTML e CSS para Iniciantes",
+      description: { "en-US": "Web fundamentals" },
+      hours: 46,
+      date: "2022-10",
+      certificate: {
+        url: "https://example.test/certificados/html-css.pdf",
+        image: "assets/certificados/html-css.png",
+      },
+    },
+    {
+      id: "ui-design",
+      title: "UI Design para Iniciantes",
+      description: { "en-US": "Interface design" },
+      hours: 20,
+      date: "2022-08",
+    },
+    {
+      id: "programacao",
+      title: "Programação do Absoluto Zero",
+      description: { "en-US": "Programming basics" },
+      hours: 26,
+      date: "2022-05",
+      certificate: {
+        image: "assets/certificados/programacao.png",
+        alt: { "en-US": "Programming basics certificate, 26 hours" },
+      },
+    },
+  ],
+};
+
+describe("CoursesComponent", () => {
+  let env;
+  let services;
+  let app;
+  let courses;
+
+  const toggleButton = () => document.querySelector(".courses__toggle");
+  const list = () => document.getElementById("courses-list");
+  const shown = () =>
+    Array.from(
+      list().querySelectorAll(".course-item:not([data-course-overflow])"),
+      (item) => item.dataset.course
+    );
+
+  beforeEach(() => {
+    env = setupDom({ html: HTML });
+    app = { announceToScreenReader: mock.fn() };
+    services = createServices({ app });
+    services.i18n.applyLocale("en-US", { persist: false });
+    services.registry
+      .register("content", loadedContent(DATA, ["renderCourses"]))
+      .register("courses", CoursesComponent, { deps: ["content"] });
+    services.registry.mountAll();
+    courses = services.registry.get("courses");
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    env.cleanup();
+  });
+
+  it("totals the study hours", () => {
+    assert.equal(
+      document.querySelector(".courses__total").textContent,
+      "92 hours of study in total"
+    );
+  });
+
+  it("starts with the first page collapsed", () => {
+    assert.deepEqual(shown(), ["html-css", "ui-design"]);
+    assert.equal(list().hasAttribute("data-collapsed"), true);
+    assert.equal(toggleButton().hidden, false);
+    assert.equal(toggleButton().getAttribute("aria-expanded"), "false");
+    assert.equal(toggleButton().textContent.trim(), "SHOW MORE");
+  });
+
+  it("reveals the rest and collapses again", () => {
+    toggleButton().click();
+
+    assert.deepEqual(shown(), ["html-css", "ui-design", "programacao"]);
+    assert.equal(list().hasAttribute("data-collapsed"), false);
+    assert.equal(toggleButton().getAttribute("aria-expanded"), "true");
+    assert.equal(toggleButton().textContent.trim(), "SHOW LESS");
+    assert.equal(
+      app.announceToScreenReader.mock.calls[0].arguments[0],
+      "Showing 3 of 3 courses"
+    );
+
+    toggleButton().click();
+
+    assert.deepEqual(shown(), ["html-css", "ui-design"]);
+    assert.equal(list().hasAttribute("data-collapsed"), true);
+  });
+
+  it("sorts by hours and keeps the page size", () => {
+    const order = () =>
+      Array.from(list().children, (item) => item.dataset.course);
+
+    courses.setSort("hours");
+    assert.deepEqual(order(), ["html-css", "programacao", "ui-design"]);
+    assert.deepEqual(shown(), ["html-css", "programacao"]);
+
+    const select = document.getElementById("courses-sort");
+    select.value = "date";
+    select.dispatchEvent(new window.Event("change"));
+    assert.deepEqual(order(), ["html-css", "ui-design", "programacao"]);
+  });
+
+  it("reveals a linked course that was collapsed", () => {
+    services.bus.emit("routeChanged", {
+      route: { section: "curso-programacao", params: [], query: {} },
+    });
+
+    assert.deepEqual(shown(), ["html-css", "ui-design", "programacao"]);
+  });
+
+  describe("certificates", () => {
+    const certificateButton = (id) =>
+      document.querySelector(`[data-course="${id}"] .course-item__certificate`);
+    const dialog = () => document.getElementById("certificate-dialog");
+
+    it("only offers courses that have one", () => {
+      assert.equal(certificateButton("html-css").hidden, false);
+      assert.equal(certificateButton("ui-design").hidden, true);
+      assert.equal(
+        certificateButton("html-css").getAttribute("aria-label"),
+        "View the HTML e CSS para Iniciantes certificate"
+      );
+    });
+
+    it("opens the certificate in a lightbox", () => {
+      certificateButton("html-css").click();
+
+      const image = dialog().querySelector("img");
+      assert.equal(dialog().hidden, false);
+      assert.equal(
+        image.getAttribute("src"),
+        "assets/certificados/html-css.png"
+      );
+      assert.equal(
+        image.alt,
+        "Certificate of completion for HTML e CSS para Iniciantes"
+      );
+      assert.equal(
+        dialog().querySelector("a").href,
+        "https://example.test/certificados/html-css.pdf"
+      );
+    });
+
+    it("describes the image with the certificate's own alt text", () => {
+      toggleButton().click();
+      certificateButton("programacao").click();
+
+      assert.equal(
+        dialog().querySelector("img").alt,
+        "Programming basics certificate, 26 hours"
+      );
+      assert.equal(dialog().querySelector("a").hidden, true);
+    });
+
+    it("closes on Escape and returns focus", () => {
+      const button = certificateButton("html-css");
+      button.focus();
+      button.click();
+
+      dialog().dispatchEvent(
+        new window.KeyboardEvent("keydown", { key: "Escape", bubbles: true })
+      );
+
+      assert.equal(dialog().hidden, true);
+      assert.equal(document.activeElement, button);
+    });
+  });
+
+  it("mirrors each course into a JSON-LD credential", () => {
+    const content = services.registry.get("content");
+
+    assert.deepEqual(content.buildCredential(DATA.courses[0]), {
+      "@type": "EducationalOccupationalCredential",
+      identifier: "html-css",
+      name: "HTML e CSS para Iniciantes",
+      description: "Web fundamentals",
+      credentialCategory: "certificate",
+      educationalLevel: "beginner",
+      dateCreated: "2022-10",
+      timeRequired: "PT46H",
+      url: "https://example.test/certificados/html-css.pdf",
+      image: "assets/certificados/html-css.png",
+    });
+  });
+
+  it("leaves the certificate out of credentials that have none", () => {
+    const content = services.registry.get("content");
+    const credential = content.buildCredential(DATA.courses[1]);
+
+    assert.equal("url" in credential, false);
+    assert.equal("image" in credential, false);
+    assert.equal(credential.identifier, "ui-design");
+  });
+});
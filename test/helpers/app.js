@@ -0,0 +1,44 @@
+/**
+ * Test services
+ * The shared services PortfolioApp creates, wired to a ComponentRegistry
+ * without an error reporter so failures surface in the test.
+ */
+
+import {
+  ComponentRegistry,
+  ContentLoader,
+  EventBus,
+  I18nManager,
+  ScrollScheduler,
+} from "../../js/index.js";
+
+// app: stand-in for PortfolioApp (e.g. { showNotification })
+export function createServices({ app = null } = {}) {
+  const bus = new EventBus();
+  const i18n = new I18nManager({ bus });
+  const scheduler = new ScrollScheduler();
+  const registry = new ComponentRegistry({
+    services: { bus, i18n, scheduler, app },
+  });
+
+  // Record everything emitted on the bus, in order
+  const events = [];
+  const emit = bus.emit.bind(bus);
+  bus.emit = (type, detail) => {
+    events.push({ type, detail });
+    emit(type, detail);
+  };
+
+  return { bus, i18n, scheduler, registry, events };
+}
+
+// ContentLoader without the fetch: serves `data` on mount and runs the
+// given renderers on it, e.g. loadedContent(data, ["renderCourses"])
+export function loadedContent(data, renderers = []) {
+  return class LoadedContent extends ContentLoader {
+    mount() {
+      this.data = data;
+      renderers.forEach((renderer) => this[renderer](data));
+    }
+  };
+}
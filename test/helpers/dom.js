@@ -0,0 +1,230 @@
+/**
+ * Test DOM
+ * A jsdom window installed as the globals the modules expect, with
+ * controllable stubs for the browser APIs jsdom lacks or that tests need
+ * to drive: matchMedia, IntersectionObserver, localStorage and
+ * requestAnimationFrame. Call `cleanup()` after each test. `templates()`
+ * lends fixtures the page's own <template> markup.
+ */
+
+import { readFileSync } from "node:fs";
+import { JSDOM } from "jsdom";
+
+const PAGE = readFileSync(new URL("../../index.html", import.meta.url), "utf8");
+
+const GLOBALS = [
+  "window",
+  "document",
+  "navigator",
+  "location",
+  "history",
+  "localStorage",
+  "matchMedia",
+  "IntersectionObserver",
+  "MutationObserver",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+  "getComputedStyle",
+  "AbortController",
+  "AbortSignal",
+  "Event",
+  "CustomEvent",
+  "EventTarget",
+  "KeyboardEvent",
+  "MouseEvent",
+  "Node",
+  "HTMLElement",
+  "CSS",
+];
+
+// Media queries are EventTargets whose `matches` tests can flip
+function createMatchMedia(window, initial) {
+  const lists = new Map();
+
+  const matchMedia = (query) => {
+    if (!lists.has(query)) {
+      const list = new window.EventTarget();
+      list.media = query;
+      list.matches = Boolean(initial[query]);
+      list.addListener = (callback) =>
+        list.addEventListener("change", callback);
+      list.removeListener = (callback) =>
+        list.removeEventListener("change", callback);
+      lists.set(query, list);
+    }
+    return lists.get(query);
+  };
+
+  const set = (query, matches) => {
+    const list = matchMedia(query);
+    list.matches = matches;
+
+    const event = new window.Event("change");
+    Object.assign(event, { matches, media: query });
+    list.dispatchEvent(event);
+  };
+
+  return { matchMedia, set };
+}
+
+// Observers only report what a test passes to `trigger`
+function createIntersectionObserver(instances) {
+  return class IntersectionObserver {
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = new Set();
+      instances.push(this);
+    }
+
+    observe(target) {
+      this.targets.add(target);
+    }
+
+    unobserve(target) {
+      this.targets.delete(target);
+    }
+
+    disconnect() {
+      this.targets.clear();
+    }
+
+    takeRecords() {
+      return [];
+    }
+
+    trigger(entries) {
+      this.callback(
+        entries.map(({ target, isIntersecting = true }) => ({
+          target,
+          isIntersecting,
+          intersectionRatio: isIntersecting ? 1 : 0,
+        })),
+        this
+      );
+    }
+  };
+}
+
+// Frames run when the test flushes them, not on a timer
+function createAnimationFrames() {
+  const callbacks = new Map();
+  let nextId = 1;
+
+  return {
+    request(callback) {
+      const id = nextId++;
+      callbacks.set(id, callback);
+      return id;
+    },
+
+    cancel(id) {
+      callbacks.delete(id);
+    },
+
+    flush() {
+      const pending = Array.from(callbacks.values());
+      callbacks.clear();
+      pending.forEach((callback) => callback(Date.now()));
+    },
+
+    get size() {
+      return callbacks.size;
+    },
+  };
+}
+
+// The page's own <template> markup, so fixtures render what the site does
+export function templates(...ids) {
+  return ids
+    .map((id) => {
+      const match = PAGE.match(
+        new RegExp(`<template id="${id}">[\\s\\S]*?</template>`)
+      );
+      if (!match) {
+        throw new Error(`index.html has no template #${id}`);
+      }
+      return match[0];
+    })
+    .join("\n");
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.html] body markup
+ * @param {Object<string, boolean>} [options.media] initial query results,
+ *   e.g. { "(prefers-color-scheme: dark)": true }
+ * @param {boolean} [options.storageThrows] localStorage access throws,
+ *   like Safari private mode or blocked cookies
+ */
+export function setupDom({
+  html = "",
+  media = {},
+  storageThrows = false,
+} = {}) {
+  const dom = new JSDOM(
+    `<!DOCTYPE html><html><head><meta name="theme-color" content="#ffffff"></head><body>${html}</body></html>`,
+    { url: "https://example.test/", pretendToBeVisual: true }
+  );
+  const { window } = dom;
+
+  const mediaQueries = createMatchMedia(window, media);
+  const intersectionObservers = [];
+  const frames = createAnimationFrames();
+
+  window.matchMedia = mediaQueries.matchMedia;
+  window.IntersectionObserver = createIntersectionObserver(
+    intersectionObservers
+  );
+  window.requestAnimationFrame = (callback) => frames.request(callback);
+  window.cancelAnimationFrame = (id) => frames.cancel(id);
+  window.scrollTo = () => {};
+
+  if (storageThrows) {
+    Object.defineProperty(window, "localStorage", {
+      configurable: true,
+      get() {
+        throw new window.DOMException("Access denied", "SecurityError");
+      },
+    });
+  }
+
+  const previous = new Map();
+  GLOBALS.forEach((name) => {
+    previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+    Object.defineProperty(globalThis, name, {
+      configurable: true,
+      enumerable: true,
+      get: () => (name === "window" ? window : window[name]),
+    });
+  });
+
+  return {
+    window,
+    document: window.document,
+    media: mediaQueries,
+    intersectionObservers,
+    frames,
+
+    // Scroll the page and run the scroll frame that follows
+    scrollTo(y) {
+      Object.defineProperty(window, "scrollY", {
+        configurable: true,
+        value: y,
+      });
+      window.dispatchEvent(new window.Event("scroll"));
+      frames.flush();
+    },
+
+    cleanup() {
+      previous.forEach((descriptor, name) => {
+        if (descriptor) {
+          Object.defineProperty(globalThis, name, descriptor);
+        } else {
+          delete globalThis[name];
+        }
+      });
+      window.close();
+    },
+  };
+}
@@ -0,0 +1,176 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { NavbarComponent } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+import { createServices } from "./helpers/app.js";
+
+const HTML = `
+  <header class="header">
+    <nav class="nav">
+      <ul class="nav__list">
+        <li class="nav__item"><a href="#inicio" class="nav__link">Início</a></li>
+        <li class="nav__item"><a href="#sobre" class="nav__link">Sobre</a></li>
+        <li class="nav__item"><a href="#projetos" class="nav__link">Projetos</a></li>
+        <li class="nav__item"><a href="#contato" class="nav__link">Contato</a></li>
+      </ul>
+    </nav>
+    <div class="header__actions"></div>
+  </header>
+  <main>
+    <section id="inicio"></section>
+    <section id="sobre"></section>
+    <section id="projetos"></section>
+    <section id="contato"></section>
+  </main>`;
+
+describe("NavbarComponent", () => {
+  let env;
+  let services;
+  let header;
+
+  beforeEach(() => {
+    env = setupDom({ html: HTML });
+    services = createServices();
+    services.registry.register("navbar", NavbarComponent);
+    services.registry.mount("navbar");
+    header = document.querySelector(".header");
+
+    // First scheduler frame
+    env.frames.flush();
+  });
+
+  afterEach(() => env.cleanup());
+
+  describe("initScrollEffects", () => {
+    it("marks the header as scrolled past 50px", () => {
+      env.scrollTo(51);
+      assert.ok(header.classList.contains("scrolled"));
+
+      env.scrollTo(50);
+      assert.ok(!header.classList.contains("scrolled"));
+    });
+
+    it("keeps the header in place up to the 100px threshold", () => {
+      env.scrollTo(60);
+      env.scrollTo(100);
+
+      assert.equal(header.style.transform, "");
+    });
+
+    it("only hides the header when scrolling down past 200px", () => {
+      env.scrollTo(150);
+      assert.equal(header.style.transform, "translateY(0)");
+
+      env.scrollTo(200);
+      assert.equal(header.style.transform, "translateY(0)");
+
+      env.scrollTo(201);
+      assert.equal(header.style.transform, "translateY(-100%)");
+    });
+
+    it("shows the header again when scrolling up", () => {
+      env.scrollTo(400);
+      env.scrollTo(300);
+
+      assert.equal(header.style.transform, "translateY(0)");
+    });
+
+    it("measures once per frame however many scroll events fire", () => {
+      let frames = 0;
+      services.registry.get("navbar").addScrollBehavior(() => frames++);
+      env.frames.flush();
+      frames = 0;
+
+      [120, 180, 260].forEach((y) => {
+        Object.defineProperty(window, "scrollY", {
+          configurable: true,
+          value: y,
+        });
+        window.dispatchEvent(new window.Event("scroll"));
+      });
+      env.frames.flush();
+
+      assert.equal(frames, 1);
+      assert.equal(header.style.transform, "translateY(-100%)");
+    });
+
+    it("stops reacting to scroll after unmount", () => {
+      services.registry.unmount("navbar");
+
+      env.scrollTo(400);
+
+      assert.ok(!header.classList.contains("scrolled"));
+      assert.equal(header.style.transform, "");
+    });
+  });
+
+  describe("keyboard navigation", () => {
+    const links = () => Array.from(document.querySelectorAll(".nav__link"));
+
+    function press(key, target = document.activeElement) {
+      const event = new window.KeyboardEvent("keydown", {
+        key,
+        bubbles: true,
+        cancelable: true,
+      });
+      target.dispatchEvent(event);
+      return event;
+    }
+
+    it("moves to the next link with ArrowRight and ArrowDown", () => {
+      const [first, second, third] = links();
+      first.focus();
+
+      press("ArrowRight");
+      assert.equal(document.activeElement, second);
+
+      press("ArrowDown");
+      assert.equal(document.activeElement, third);
+    });
+
+    it("moves to the previous link with ArrowLeft and ArrowUp", () => {
+      const [first, second, third] = links();
+      third.focus();
+
+      press("ArrowLeft");
+      assert.equal(document.activeElement, second);
+
+      press("ArrowUp");
+      assert.equal(document.activeElement, first);
+    });
+
+    it("wraps around at both ends", () => {
+      const all = links();
+      const first = all[0];
+      const last = all[all.length - 1];
+
+      last.focus();
+      press("ArrowRight");
+      assert.equal(document.activeElement, first);
+
+      press("ArrowLeft");
+      assert.equal(document.activeElement, last);
+    });
+
+    it("jumps to the first and last link with Home and End", () => {
+      const all = links();
+      all[1].focus();
+
+      press("End");
+      assert.equal(document.activeElement, all[all.length - 1]);
+
+      press("Home");
+      assert.equal(document.activeElement, all[0]);
+    });
+
+    it("prevents the default scroll for handled keys only", () => {
+      const [first] = links();
+      first.focus();
+
+      assert.ok(press("Home").defaultPrevented);
+      assert.ok(!press("Enter").defaultPrevented);
+      assert.equal(document.activeElement, first);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  AnimationManager,
+  PrintController,
+  ThemeManager,
+} from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+import { createServices } from "./helpers/app.js";
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+const HTML = `
+  <main class="main">
+    <button type="button" data-print-resume>Baixar currículo</button>
+    <select name="print-pages">
+      <option value="1">1 página</option>
+      <option value="2" selected>2 páginas</option>
+    </select>
+    <span class="skill-badge" data-animate="fade-up">HTML</span>
+    <div class="courses" data-collapsed>Cursos</div>
+    <details><summary>Mais</summary>Detalhes</details>
+    <a href="https://example.com/projeto/">Ver projeto</a>
+    <a href="#projetos">Projetos</a>
+  </main>
+  <footer class="footer">
+    <a href="mailto:sandrojkl26@hotmail.com">sandrojkl26@hotmail.com</a>
+    <a href="tel:+5577991220627">(77) 9 9122-0627</a>
+    <a href="https://github.com/SandroJr26">github.com/SandroJr26</a>
+  </footer>`;
+
+const DATA = {
+  profile: {
+    name: "Sandro Júnior",
+    jobTitle: { "pt-BR": "Desenvolvedor Front-End" },
+    address: { locality: "Guanambi", region: "BA" },
+    url: "https://sandrojr26.github.io",
+  },
+};
+
+class ContentStub {
+  getData() {
+    return DATA;
+  }
+}
+
+describe("PrintController", () => {
+  let env;
+  let services;
+  let print;
+  // Page state while the print dialog is open
+  let printed;
+
+  const root = () => document.documentElement;
+
+  beforeEach(() => {
+    env = setupDom({ html: HTML, media: { [DARK_QUERY]: true } });
+
+    // jsdom has no print dialog; fire the events a browser would
+    printed = null;
+    window.print = () => {
+      window.dispatchEvent(new window.Event("beforeprint"));
+      printed = {
+        theme: root().dataset.theme,
+        pages: root().dataset.printPages,
+        animations: root().classList.contains("animations-enabled"),
+        urls: Array.from(
+          document.querySelectorAll(".print-url"),
+          (span) => span.textContent
+        ),
+        header: document.querySelector(".print-header")?.textContent,
+      };
+      window.dispatchEvent(new window.Event("afterprint"));
+    };
+
+    services = createServices();
+    services.registry
+      .register("theme", ThemeManager)
+      .register("animations", AnimationManager)
+      .register("content", ContentStub)
+      .register("print", PrintController);
+    services.registry.mountAll();
+    print = services.registry.get("print");
+  });
+
+  afterEach(() => env.cleanup());
+
+  it("prints in the light theme and restores the dark one", () => {
+    document.querySelector("[data-print-resume]").click();
+
+    assert.equal(printed.theme, "light");
+    assert.equal(root().dataset.theme, "dark");
+    assert.equal(services.registry.get("theme").getMode(), "system");
+  });
+
+  it("does not store or announce the temporary theme", () => {
+    print.print();
+
+    assert.equal(localStorage.getItem("theme"), null);
+    const sources = services.events
+      .filter(({ type }) => type === "themeChanged")
+      .map(({ detail }) => detail.source);
+    assert.deepEqual(sources, ["init", "print", "print"]);
+  });
+
+  it("turns scroll animations off while printing", () => {
+    assert.ok(root().classList.contains("animations-enabled"));
+
+    print.print();
+
+    assert.equal(printed.animations, false);
+    assert.ok(root().classList.contains("animations-enabled"));
+  });
+
+  it("expands collapsed content and collapses it again", () => {
+    const courses = document.querySelector(".courses");
+    const details = document.querySelector("details");
+
+    print.prepare();
+    assert.equal(courses.hasAttribute("data-collapsed"), false);
+    assert.equal(details.open, true);
+
+    print.restore();
+    assert.equal(courses.hasAttribute("data-collapsed"), true);
+    assert.equal(details.open, false);
+  });
+
+  it("writes URLs the link text doesn't already show", () => {
+    print.print();
+
+    assert.deepEqual(printed.urls, [" (example.com/projeto)"]);
+    assert.equal(document.querySelectorAll(".print-url").length, 0);
+  });
+
+  it("adds a header with name and job title", () => {
+    print.print();
+
+    assert.match(printed.header, /Sandro Júnior/);
+    assert.match(printed.header, /Desenvolvedor Front-End · Guanambi\/BA/);
+    assert.equal(document.querySelector(".print-header"), null);
+  });
+
+  it("uses the page variant picked next to the button", () => {
+    print.print();
+    assert.equal(printed.pages, "2");
+
+    document.querySelector('[name="print-pages"]').value = "1";
+    print.print();
+    assert.equal(printed.pages, "1");
+
+    print.print({ pages: 2 });
+    assert.equal(printed.pages, "2");
+    assert.equal(root().hasAttribute("data-print-pages"), false);
+  });
+
+  it("prepares the page for Ctrl+P too", () => {
+    window.dispatchEvent(new window.Event("beforeprint"));
+
+    assert.ok(print.isActive());
+    assert.equal(root().dataset.theme, "light");
+
+    window.dispatchEvent(new window.Event("afterprint"));
+
+    assert.equal(print.isActive(), false);
+    assert.equal(root().dataset.theme, "dark");
+  });
+
+  it("reports print mode on the bus", () => {
+    print.print({ pages: 1 });
+
+    const changes = services.events
+      .filter(({ type }) => type === "printModeChanged")
+      .map(({ detail }) => detail);
+    assert.deepEqual(changes, [{ active: true, pages: 1 }, { active: false }]);
+  });
+});
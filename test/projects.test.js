@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { ProjectsComponent } from "../js/index.js";
+import { setupDom, templates } from "./helpers/dom.js";
+import { createServices, loadedContent } from "./helpers/app.js";
+
+const HTML = `
+  <div class="projects__filters"></div>
+  <div class="projects__grid"></div>
+
+  <div id="project-dialog" hidden>
+    <div class="project-dialog__panel">
+      <div class="project-dialog__badge"></div>
+      <h3 class="project-dialog__title"></h3>
+      <p class="project-dialog__description"></p>
+      <div class="project-dialog__screenshots"></div>
+      <ul class="project-dialog__stack"></ul>
+      <a data-project-link="live"></a>
+      <a data-project-link="repo"></a>
+    </div>
+  </div>
+
+  ${templates("project-card-template")}`;
+
+const DATA = {
+  projectCategories: {
+    design: "Design",
+    development: { "en-US": "Development" },
+  },
+  projects: [
+    {
+      id: "site-ayumi",
+      title: "Site Ayumi",
+      category: "development",
+      description: { "en-US": "Responsive website" },
+      stack: ["HTML", "CSS", "JavaScript"],
+      repo: "https://github.com/SandroJr26/site-ayumi",
+      live: "https://sandrojr26.github.io/site-ayumi/",
+      screenshots: [
+        {
+          src: "assets/images/projects/site-ayumi.svg",
+          alt: { "en-US": "Site Ayumi home page" },
+        },
+      ],
+    },
+    {
+      id: "rascunho",
+      title: "Rascunho",
+      category: "design",
+      description: { "en-US": "Draft" },
+    },
+  ],
+};
+
+describe("ProjectsComponent", () => {
+  let env;
+  let projects;
+
+  const dialog = () => document.getElementById("project-dialog");
+  const link = (type) =>
+    dialog().querySelector(`[data-project-link="${type}"]`);
+
+  beforeEach(() => {
+    env = setupDom({ html: HTML });
+    const services = createServices({
+      app: { announceToScreenReader: mock.fn() },
+    });
+    services.i18n.applyLocale("en-US", { persist: false });
+    services.registry
+      .register("content", loadedContent(DATA, ["renderProjects"]))
+      .register("projects", ProjectsComponent, { deps: ["content"] });
+    services.registry.mountAll();
+    projects = services.registry.get("projects");
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    env.cleanup();
+  });
+
+  it("links to the repository and the live site", () => {
+    projects.openProject("site-ayumi");
+
+    assert.equal(dialog().hidden, false);
+    assert.equal(link("repo").hidden, false);
+    assert.equal(link("repo").href, "https://github.com/SandroJr26/site-ayumi");
+    assert.equal(link("live").hidden, false);
+    assert.equal(link("live").href, "https://sandrojr26.github.io/site-ayumi/");
+  });
+
+  it("hides the links a project doesn't have", () => {
+    projects.openProject("site-ayumi");
+    projects.closeProject();
+    projects.openProject("rascunho");
+
+    assert.equal(link("repo").hidden, true);
+    assert.equal(link("repo").hasAttribute("href"), false);
+    assert.equal(link("live").hidden, true);
+  });
+
+  it("shows the screenshots with translated alt text", () => {
+    const screenshots = () =>
+      dialog().querySelector(".project-dialog__screenshots");
+
+    projects.openProject("site-ayumi");
+
+    const [image] = screenshots().querySelectorAll("img");
+    assert.equal(screenshots().hidden, false);
+    assert.equal(
+      image.getAttribute("src"),
+      "assets/images/projects/site-ayumi.svg"
+    );
+    assert.equal(image.alt, "Site Ayumi home page");
+
+    projects.closeProject();
+    projects.openProject("rascunho");
+    assert.equal(screenshots().hidden, true);
+  });
+});
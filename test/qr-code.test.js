@@ -0,0 +1,118 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { QRCode } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+
+// Format information for level M, mask 0-7 (ISO/IEC 18004 table C.1)
+const FORMAT_M = [
+  "101010000010010",
+  "101000100100101",
+  "101111001111100",
+  "101101101001011",
+  "100010111111001",
+  "100000011001110",
+  "100111110010111",
+  "100101010100000",
+];
+
+// The copy around the top-left finder, most significant bit first
+function readFormatBits(qr) {
+  const cells = [
+    [0, 8],
+    [1, 8],
+    [2, 8],
+    [3, 8],
+    [4, 8],
+    [5, 8],
+    [7, 8],
+    [8, 8],
+    [8, 7],
+    [8, 5],
+    [8, 4],
+    [8, 3],
+    [8, 2],
+    [8, 1],
+    [8, 0],
+  ];
+  return cells.map(([x, y]) => (qr.isDark(x, y) ? "1" : "0")).join("");
+}
+
+describe("QRCode", () => {
+  it("computes Reed-Solomon codewords", () => {
+    // "HELLO WORLD" as version 1-M data codewords
+    const data = [
+      32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17,
+    ];
+
+    assert.deepEqual(
+      QRCode.reedSolomonRemainder(data, QRCode.reedSolomonDivisor(10)),
+      [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]
+    );
+  });
+
+  it("picks the smallest version that fits the bytes", () => {
+    assert.equal(QRCode.encode("a".repeat(14)).version, 1);
+    assert.equal(QRCode.encode("a".repeat(15)).version, 2);
+    assert.equal(QRCode.encode("a".repeat(17), { ecl: "L" }).version, 1);
+    // "ú" takes two bytes in UTF-8
+    assert.equal(QRCode.encode("ú".repeat(8)).version, 2);
+  });
+
+  it("switches to a 16-bit length from version 10", () => {
+    const qr = QRCode.encode("a".repeat(200));
+
+    assert.equal(qr.version, 10);
+    assert.equal(qr.size, 57);
+  });
+
+  it("draws finder, timing and dark modules", () => {
+    const qr = QRCode.encode("BEGIN:VCARD");
+    const last = qr.size - 1;
+
+    [
+      [0, 0],
+      [last - 6, 0],
+      [0, last - 6],
+    ].forEach(([left, top]) => {
+      assert.equal(qr.isDark(left, top), true);
+      assert.equal(qr.isDark(left + 1, top + 1), false);
+      assert.equal(qr.isDark(left + 3, top + 3), true);
+    });
+    for (let i = 8; i < qr.size - 8; i++) {
+      assert.equal(qr.isDark(i, 6), i % 2 === 0);
+      assert.equal(qr.isDark(6, i), i % 2 === 0);
+    }
+    assert.equal(qr.isDark(8, qr.size - 8), true);
+  });
+
+  it("writes the format bits of the level and chosen mask", () => {
+    const qr = QRCode.encode("https://sandrojr26.github.io");
+
+    assert.ok(qr.mask >= 0 && qr.mask < 8);
+    assert.equal(readFormatBits(qr), FORMAT_M[qr.mask]);
+  });
+
+  it("rejects unknown levels and text that doesn't fit", () => {
+    assert.throws(() => QRCode.encode("oi", { ecl: "X" }), RangeError);
+    assert.throws(
+      () => QRCode.encode("a".repeat(1300), { ecl: "H" }),
+      RangeError
+    );
+  });
+
+  it("renders an SVG with a quiet zone", () => {
+    const env = setupDom();
+    try {
+      const svg = QRCode.encode("oi").toSvg();
+
+      assert.equal(svg.getAttribute("viewBox"), "0 0 29 29");
+      assert.match(
+        svg.querySelector("path").getAttribute("d"),
+        /^M4,4h1v1h-1z/
+      );
+    } finally {
+      env.cleanup();
+    }
+  });
+});
@@ -0,0 +1,292 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { SkillsComponent } from "../js/index.js";
+import { setupDom, templates } from "./helpers/dom.js";
+import { createServices, loadedContent } from "./helpers/app.js";
+
+const HTML = `
+  <div class="skills__filters" data-skills-filter="category"></div>
+  <div class="skills__filters" data-skills-filter="level"></div>
+  <select id="skills-sort">
+    <option value="default"></option>
+    <option value="name"></option>
+    <option value="level"></option>
+  </select>
+  <div class="skills"></div>
+  <p class="skills__empty" hidden></p>
+  <section id="skills-evidence" hidden>
+    <h4 class="skills__evidence-title"></h4>
+    <p class="skills__evidence-summary"></p>
+    <ul class="skills__evidence-list"></ul>
+  </section>
+  <div class="courses"></div>
+  <div class="projects__grid"></div>
+
+  ${templates(
+    "skills-category-template",
+    "skill-badge-template",
+    "course-item-template",
+    "project-card-template"
+  )}`;
+
+const DATA = {
+  skillScale: 5,
+  skillLevels: {
+    basic: { min: 1, label: { "en-US": "Basic" } },
+    intermediate: { min: 3, label: { "en-US": "Intermediate" } },
+    proficient: { min: 4, label: { "en-US": "Proficient" } },
+  },
+  skills: [
+    {
+      id: "languages",
+      category: { "en-US": "Languages & Markup" },
+      items: [
+        { id: "html", name: "HTML5", schemaName: "HTML", level: 5 },
+        { id: "css", name: "CSS3", schemaName: "CSS", level: 4 },
+        { id: "js", name: "JavaScript", level: 3 },
+      ],
+    },
+    {
+      id: "tools",
+      category: { "en-US": "Tools" },
+      items: [{ id: "git", name: "Git", level: 2 }],
+    },
+  ],
+  courses: [
+    {
+      id: "html-css",
+      title: "HTML e CSS para Iniciantes",
+      description: { "en-US": "Web fundamentals" },
+      hours: 46,
+      date: "2022-10",
+      skills: ["html", "css"],
+    },
+    {
+      id: "programacao",
+      title: "Programação do Absoluto Zero",
+      description: { "en-US": "Programming basics" },
+      hours: 26,
+      date: "2022-05",
+      skills: ["js"],
+    },
+  ],
+  projectCategories: { development: { "en-US": "Development" } },
+  projects: [
+    {
+      id: "site-ayumi",
+      title: "Site Ayumi",
+      category: "development",
+      description: { "en-US": "Institutional website" },
+      stack: ["HTML", "CSS", "JavaScript"],
+    },
+  ],
+};
+
+describe("SkillsComponent", () => {
+  let env;
+  let services;
+  let app;
+  let skills;
+
+  const badge = (id) => document.querySelector(`[data-skill="${id}"]`);
+  const chip = (filter, id) =>
+    document.querySelector(
+      `[data-skills-filter="${filter}"] [data-filter="${id}"]`
+    );
+  const visibleSkills = () =>
+    Array.from(
+      document.querySelectorAll(".skill-badge:not([hidden])"),
+      (element) => element.dataset.skill
+    );
+  const announced = () =>
+    app.announceToScreenReader.mock.calls.at(-1)?.arguments[0];
+
+  beforeEach(() => {
+    env = setupDom({ html: HTML });
+    app = { announceToScreenReader: mock.fn() };
+    services = createServices({ app });
+    services.i18n.applyLocale("en-US", { persist: false });
+    services.registry
+      .register(
+        "content",
+        loadedContent(DATA, ["renderSkills", "renderCourses", "renderProjects"])
+      )
+      .register("skills", SkillsComponent, { deps: ["content"] });
+    services.registry.mountAll();
+    skills = services.registry.get("skills");
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    env.cleanup();
+  });
+
+  it("shows each level as a meter on the numeric scale", () => {
+    const meter = badge("css").querySelector("[role=meter]");
+
+    assert.equal(meter.getAttribute("aria-valuenow"), "4");
+    assert.equal(meter.getAttribute("aria-valuemax"), "5");
+    assert.equal(meter.getAttribute("aria-valuetext"), "Proficient: 4 of 5");
+    assert.equal(meter.getAttribute("aria-labelledby"), "skill-css");
+    assert.equal(meter.style.getPropertyValue("--skill-value"), "80%");
+  });
+
+  it("groups numeric levels into the named bands", () => {
+    assert.deepEqual(
+      ["html", "css", "js", "git"].map((id) => badge(id).dataset.level),
+      ["proficient", "proficient", "intermediate", "basic"]
+    );
+    assert.equal(
+      badge("git").querySelector(".skill-badge__level").textContent,
+      "Basic"
+    );
+  });
+
+  it("puts a level below every band in the lowest one", () => {
+    const content = services.registry.get("content");
+    const tools = DATA.skills[1];
+
+    content.renderSkills({
+      ...DATA,
+      skills: [{ ...tools, items: [{ id: "figma", name: "Figma", level: 0 }] }],
+    });
+
+    assert.equal(badge("figma").dataset.level, "basic");
+    assert.equal(
+      badge("figma").querySelector(".skill-badge__level").textContent,
+      "Basic"
+    );
+  });
+
+  it("filters by category and announces the count", () => {
+    chip("category", "tools").click();
+
+    assert.deepEqual(visibleSkills(), ["git"]);
+    assert.equal(
+      document.querySelector('[data-category="languages"]').hidden,
+      true
+    );
+    assert.equal(
+      chip("category", "tools").getAttribute("aria-pressed"),
+      "true"
+    );
+    assert.equal(announced(), "1 skill found");
+  });
+
+  it("filters by level and shows the empty state when nothing matches", () => {
+    chip("level", "proficient").click();
+    assert.deepEqual(visibleSkills(), ["html", "css"]);
+    assert.equal(
+      document.querySelector('[data-category="tools"]').hidden,
+      true
+    );
+
+    chip("category", "tools").click();
+    assert.deepEqual(visibleSkills(), []);
+    assert.equal(document.querySelector(".skills__empty").hidden, false);
+  });
+
+  it("sorts within each category", () => {
+    const order = () =>
+      Array.from(
+        document.querySelectorAll('[data-category="languages"] .skill-badge'),
+        (element) => element.dataset.skill
+      );
+
+    skills.setSort("name");
+    assert.deepEqual(order(), ["css", "html", "js"]);
+
+    skills.setSort("level");
+    assert.deepEqual(order(), ["html", "css", "js"]);
+
+    const select = document.getElementById("skills-sort");
+    select.value = "default";
+    select.dispatchEvent(new window.Event("change"));
+    assert.deepEqual(order(), ["html", "css", "js"]);
+  });
+
+  it("highlights the projects and courses that used a skill", () => {
+    badge("js").querySelector(".skill-badge__name").click();
+
+    assert.equal(
+      badge("js")
+        .querySelector(".skill-badge__name")
+        .getAttribute("aria-pressed"),
+      "true"
+    );
+    assert.ok(
+      document
+        .querySelector('[data-project="site-ayumi"]')
+        .classList.contains("project-card--highlighted")
+    );
+    assert.deepEqual(
+      Array.from(
+        document.querySelectorAll(".course-item--highlighted"),
+        (item) => item.id
+      ),
+      ["curso-programacao"]
+    );
+    assert.equal(announced(), "JavaScript: 1 project and 1 course");
+
+    const event = services.events.find(({ type }) => type === "skillSelected");
+    assert.deepEqual(event.detail, {
+      skillId: "js",
+      projects: ["site-ayumi"],
+      courses: ["programacao"],
+    });
+  });
+
+  it("links to the evidence from the panel", () => {
+    badge("html").querySelector(".skill-badge__name").click();
+
+    const evidence = document.getElementById("skills-evidence");
+    assert.equal(evidence.hidden, false);
+    assert.equal(
+      evidence.querySelector(".skills__evidence-title").textContent,
+      "Where I used HTML5"
+    );
+    assert.deepEqual(
+      Array.from(evidence.querySelectorAll("a"), (link) =>
+        link.getAttribute("href")
+      ),
+      ["#projetos/site-ayumi", "#curso-html-css"]
+    );
+  });
+
+  it("clears the highlight when the skill is selected again", () => {
+    const name = badge("css").querySelector(".skill-badge__name");
+    name.click();
+    name.click();
+
+    assert.equal(document.querySelector(".project-card--highlighted"), null);
+    assert.equal(document.querySelector(".course-item--highlighted"), null);
+    assert.equal(document.getElementById("skills-evidence").hidden, true);
+    assert.equal(name.getAttribute("aria-pressed"), "false");
+  });
+
+  it("says so when a skill has no evidence yet", () => {
+    badge("git").querySelector(".skill-badge__name").click();
+
+    assert.equal(announced(), "No projects or courses are linked to Git yet.");
+    assert.equal(
+      document.querySelectorAll(".skills__evidence-list li").length,
+      0
+    );
+  });
+
+  it("keeps filters and selection when the content is re-rendered", () => {
+    chip("level", "proficient").click();
+    badge("css").querySelector(".skill-badge__name").click();
+
+    // A language change re-renders the badges and emits contentLoaded again
+    const content = services.registry.get("content");
+    content.renderSkills(DATA);
+    content.renderProjects(DATA);
+    services.bus.emit("contentLoaded", { data: DATA });
+
+    assert.deepEqual(visibleSkills(), ["html", "css"]);
+    assert.ok(badge("css").classList.contains("skill-badge--selected"));
+    assert.ok(document.querySelector(".project-card--highlighted"));
+  });
+});
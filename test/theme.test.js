@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { ThemeManager } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+import { createServices } from "./helpers/app.js";
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+describe("ThemeManager", () => {
+  let env;
+
+  afterEach(() => env.cleanup());
+
+  function mountTheme() {
+    const services = createServices();
+    services.registry.register("theme", ThemeManager);
+    const theme = services.registry.mount("theme");
+    return { ...services, theme };
+  }
+
+  describe("when localStorage throws", () => {
+    beforeEach(() => mock.method(console, "warn", () => {}));
+    afterEach(() => mock.restoreAll());
+
+    it("falls back to the system theme", () => {
+      env = setupDom({ storageThrows: true, media: { [DARK_QUERY]: true } });
+
+      const { theme } = mountTheme();
+
+      assert.equal(theme.getMode(), "system");
+      assert.equal(theme.getPalette(), "default");
+      assert.equal(document.documentElement.dataset.theme, "dark");
+      assert.ok(console.warn.mock.callCount() > 0);
+    });
+
+    it("still applies choices for the current page", () => {
+      env = setupDom({ storageThrows: true });
+      const { theme } = mountTheme();
+
+      assert.doesNotThrow(() => theme.setTheme("dark"));
+
+      assert.equal(theme.getCurrentTheme(), "dark");
+      assert.equal(document.documentElement.dataset.theme, "dark");
+    });
+  });
+
+  describe("system theme", () => {
+    it("follows the OS while in system mode", () => {
+      env = setupDom();
+      const { theme } = mountTheme();
+      assert.equal(document.documentElement.dataset.theme, "light");
+
+      env.media.set(DARK_QUERY, true);
+
+      assert.equal(theme.getCurrentTheme(), "dark");
+      assert.equal(document.documentElement.dataset.theme, "dark");
+    });
+
+    it("ignores the OS once a theme was chosen", () => {
+      env = setupDom();
+      const { theme } = mountTheme();
+
+      theme.setTheme("light");
+      env.media.set(DARK_QUERY, true);
+
+      assert.equal(document.documentElement.dataset.theme, "light");
+      assert.equal(localStorage.getItem("theme"), "light");
+    });
+
+    it("follows the OS again after resetToSystem", () => {
+      env = setupDom({ media: { [DARK_QUERY]: true } });
+      const { theme } = mountTheme();
+
+      theme.setTheme("light");
+      theme.resetToSystem();
+
+      assert.equal(document.documentElement.dataset.theme, "dark");
+      assert.equal(localStorage.getItem("theme"), null);
+    });
+
+    it("stops following the OS after unmount", () => {
+      env = setupDom();
+      const { registry } = mountTheme();
+
+      registry.unmount("theme");
+      env.media.set(DARK_QUERY, true);
+
+      assert.equal(document.documentElement.dataset.theme, "light");
+    });
+  });
+
+  describe("themeChanged", () => {
+    const themeEvents = (events) =>
+      events.filter(({ type }) => type === "themeChanged");
+
+    it("is emitted on mount with the initial theme", () => {
+      env = setupDom({ media: { [DARK_QUERY]: true } });
+
+      const { events } = mountTheme();
+
+      assert.deepEqual(
+        themeEvents(events).map(({ detail }) => detail),
+        [
+          {
+            theme: "dark",
+            mode: "system",
+            palette: "default",
+            accent: null,
+            source: "init",
+          },
+        ]
+      );
+    });
+
+    it("carries the source of each change", () => {
+      env = setupDom();
+      const { theme, events } = mountTheme();
+
+      theme.toggleTheme();
+      env.media.set(DARK_QUERY, true);
+      theme.resetToSystem();
+      env.media.set(DARK_QUERY, false);
+
+      assert.deepEqual(
+        themeEvents(events).map(({ detail }) => [detail.source, detail.theme]),
+        [
+          ["init", "light"],
+          ["user", "dark"],
+          ["user", "dark"],
+          ["system", "light"],
+        ]
+      );
+    });
+
+    it("is emitted when another tab changes the theme", () => {
+      env = setupDom();
+      const { events } = mountTheme();
+
+      localStorage.setItem("theme", "dark");
+      window.dispatchEvent(
+        new window.StorageEvent("storage", { key: "theme", newValue: "dark" })
+      );
+
+      const [, last] = themeEvents(events);
+      assert.equal(last.detail.source, "storage");
+      assert.equal(last.detail.theme, "dark");
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { AnimationManager, TimelineComponent } from "../js/index.js";
+import { setupDom, templates } from "./helpers/dom.js";
+import { createServices, loadedContent } from "./helpers/app.js";
+
+const HTML = `
+  <div class="timeline" data-zoom="overview">
+    <div class="timeline__zoom"></div>
+    <ol class="timeline__list"></ol>
+  </div>
+
+  ${templates("timeline-year-template", "timeline-entry-template")}`;
+
+const DATA = {
+  education: [{ title: { "en-US": "High school diploma" }, year: 2015 }],
+  experience: [],
+  courses: [
+    {
+      id: "html-css",
+      title: "HTML e CSS para Iniciantes",
+      hours: 46,
+      date: "2022-10",
+    },
+    {
+      id: "programacao",
+      title: "Programação do Absoluto Zero",
+      hours: 26,
+      date: "2022-05",
+    },
+  ],
+  projects: [
+    {
+      id: "site-ayumi",
+      title: "Site Ayumi",
+      date: "2023-02",
+      description: { "en-US": "Responsive website" },
+    },
+    { id: "rascunho", title: "Rascunho", description: { "en-US": "Draft" } },
+  ],
+};
+
+describe("TimelineComponent", () => {
+  let env;
+  let services;
+  let app;
+  let timeline;
+
+  const entries = () =>
+    Array.from(document.querySelectorAll(".timeline__entry"));
+  const visibleTitles = () =>
+    entries()
+      .filter((entry) => !entry.closest("[hidden]"))
+      .map((entry) => entry.querySelector(".timeline__title").textContent);
+  const zoomChip = (year) =>
+    document.querySelector(`.timeline__zoom-option[data-year="${year}"]`);
+  // false when the timeline consumed the key
+  const press = (element, key) =>
+    element.dispatchEvent(
+      new window.KeyboardEvent("keydown", {
+        key,
+        bubbles: true,
+        cancelable: true,
+      })
+    );
+
+  function mountTimeline(data = DATA) {
+    app = { announceToScreenReader: mock.fn() };
+    services = createServices({ app });
+    services.i18n.applyLocale("en-US", { persist: false });
+    services.registry
+      .register("content", loadedContent(data))
+      .register("timeline", TimelineComponent, { deps: ["content"] });
+    services.registry.mountAll();
+    timeline = services.registry.get("timeline");
+  }
+
+  beforeEach(() => {
+    env = setupDom({ html: HTML });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    env.cleanup();
+  });
+
+  it("merges everything into one chronological list by year", () => {
+    mountTimeline();
+
+    assert.deepEqual(
+      Array.from(
+        document.querySelectorAll(".timeline__year-title"),
+        (title) => title.textContent
+      ),
+      ["2015", "2022", "2023", "Next step"]
+    );
+    assert.deepEqual(visibleTitles(), [
+      "High school diploma",
+      "Programação do Absoluto Zero",
+      "HTML e CSS para Iniciantes",
+      "Site Ayumi",
+      "Looking for my first job",
+    ]);
+    assert.equal(
+      entries()[2].querySelector("time").getAttribute("datetime"),
+      "2022-10"
+    );
+    assert.equal(entries()[2].querySelector("time").textContent, "10/2022");
+  });
+
+  it("shows jobs with their period instead of the search for one", () => {
+    mountTimeline({
+      ...DATA,
+      experience: [
+        {
+          title: { "en-US": "Front-End Developer" },
+          organization: "Ayumi",
+          start: "2024-03",
+        },
+      ],
+    });
+
+    const job = document.querySelector(".timeline__entry--job");
+    assert.equal(job.querySelector("time").textContent, "03/2024 – present");
+    assert.equal(document.querySelector(".timeline__entry--next"), null);
+  });
+
+  it("zooms into a year and back out", () => {
+    mountTimeline();
+
+    zoomChip("2022").click();
+
+    assert.deepEqual(visibleTitles(), [
+      "Programação do Absoluto Zero",
+      "HTML e CSS para Iniciantes",
+    ]);
+    assert.equal(document.querySelector(".timeline").dataset.zoom, "year");
+    assert.equal(zoomChip("2022").getAttribute("aria-pressed"), "true");
+    assert.equal(
+      app.announceToScreenReader.mock.calls[0].arguments[0],
+      "2022: 2 events"
+    );
+
+    zoomChip("all").click();
+
+    assert.equal(visibleTitles().length, 5);
+    assert.equal(document.querySelector(".timeline").dataset.zoom, "overview");
+  });
+
+  it("keeps the zoom chips working once the content is re-rendered", () => {
+    mountTimeline();
+
+    // A language change renders everything again
+    services.bus.emit("contentLoaded", { data: DATA });
+    services.bus.emit("contentLoaded", { data: DATA });
+    zoomChip("2023").click();
+
+    assert.deepEqual(visibleTitles(), ["Site Ayumi"]);
+    assert.equal(app.announceToScreenReader.mock.callCount(), 1);
+  });
+
+  describe("keyboard", () => {
+    beforeEach(() => mountTimeline());
+
+    it("keeps a single Tab stop and moves it with the arrow keys", () => {
+      assert.deepEqual(
+        entries().map((entry) => entry.tabIndex),
+        [0, -1, -1, -1, -1]
+      );
+
+      entries()[0].focus();
+      press(entries()[0], "ArrowDown");
+
+      assert.equal(document.activeElement, entries()[1]);
+      assert.equal(entries()[1].tabIndex, 0);
+      assert.equal(entries()[0].tabIndex, -1);
+
+      press(entries()[1], "End");
+      assert.equal(document.activeElement, entries()[4]);
+
+      press(entries()[4], "Home");
+      assert.equal(document.activeElement, entries()[0]);
+    });
+
+    it("zooms with Enter and returns to the overview with Escape", () => {
+      const entry = entries()[2];
+      entry.focus();
+
+      press(entry, "Enter");
+      assert.equal(timeline.zoom, "2022");
+      assert.equal(document.activeElement, entry);
+
+      // Only the zoomed year's entries take part
+      press(entry, "ArrowDown");
+      assert.equal(document.activeElement, entry);
+      press(entry, "Home");
+      assert.equal(document.activeElement, entries()[1]);
+
+      press(entries()[1], "Escape");
+      assert.equal(timeline.zoom, "all");
+      assert.equal(visibleTitles().length, 5);
+    });
+
+    it("lets keys it has no use for through to outer handlers", () => {
+      const [first] = entries();
+      first.focus();
+
+      assert.equal(press(first, "Escape"), true);
+      assert.equal(press(first, "ArrowUp"), true);
+      assert.equal(press(first, "Home"), true);
+
+      assert.equal(press(first, "Enter"), false);
+      assert.equal(press(first, "Escape"), false);
+    });
+  });
+
+  it("hands the entries to the AnimationManager scroll observer", async () => {
+    services = createServices({ app: { announceToScreenReader() {} } });
+    services.i18n.applyLocale("en-US", { persist: false });
+    services.registry
+      .register("animations", AnimationManager)
+      .register("content", loadedContent(DATA))
+      .register("timeline", TimelineComponent, { deps: ["content"] });
+    services.registry.mountAll();
+
+    // New elements are picked up by a MutationObserver
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const [observer] = env.intersectionObservers;
+    assert.ok(entries().every((entry) => observer.targets.has(entry)));
+  });
+});
@@ -0,0 +1,173 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { Announcer, I18nManager, ToastManager } from "../js/index.js";
+import { setupDom } from "./helpers/dom.js";
+
+describe("ToastManager", () => {
+  let env;
+  let announcer;
+  let toasts;
+
+  const visible = () =>
+    Array.from(
+      document.querySelectorAll(".notification-stack .notification"),
+      (element) => element.querySelector(".notification__message").textContent
+    );
+
+  beforeEach(() => {
+    env = setupDom();
+    mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    announcer = new Announcer();
+    mock.method(announcer, "announce");
+    toasts = new ToastManager({ i18n: new I18nManager(), announcer });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+    env.cleanup();
+  });
+
+  it("stacks toasts with the newest on top", () => {
+    toasts.show("Primeira");
+    toasts.show("Segunda", "success");
+
+    assert.deepEqual(visible(), ["Segunda", "Primeira"]);
+    assert.ok(
+      document
+        .querySelector(".notification")
+        .classList.contains("notification--success")
+    );
+  });
+
+  it("announces through the announcer instead of role=alert", () => {
+    toasts.show("Mensagem enviada", "success");
+    toasts.show("Falha no envio", "error");
+
+    assert.deepEqual(
+      announcer.announce.mock.calls.map(({ arguments: args }) => args),
+      [
+        ["Mensagem enviada", { priority: "polite" }],
+        ["Falha no envio", { priority: "assertive" }],
+      ]
+    );
+    assert.equal(document.querySelector("[role=alert]"), null);
+  });
+
+  it("closes after the default duration for its type", () => {
+    toasts.show("Salvo", "success");
+    toasts.show("Erro", "error");
+
+    mock.timers.tick(ToastManager.DURATIONS.success);
+    assert.deepEqual(toasts.getToasts().length, 1);
+
+    mock.timers.tick(ToastManager.DURATIONS.error);
+    mock.timers.tick(300);
+    assert.deepEqual(visible(), []);
+  });
+
+  it("accepts a custom duration, 0 meaning until dismissed", () => {
+    toasts.show("Rápida", "info", { duration: 1000 });
+    toasts.show("Fica", "info", { duration: 0 });
+
+    mock.timers.tick(60000);
+    mock.timers.tick(300);
+
+    assert.deepEqual(visible(), ["Fica"]);
+  });
+
+  it("closes from the dismiss button and with Escape", () => {
+    toasts.show("Primeira");
+    toasts.show("Segunda");
+    const [first, second] = toasts.getToasts();
+
+    second.querySelector(".notification__close").click();
+    first
+      .querySelector(".notification__close")
+      .dispatchEvent(
+        new window.KeyboardEvent("keydown", { key: "Escape", bubbles: true })
+      );
+
+    assert.equal(toasts.getToasts().length, 0);
+    mock.timers.tick(300);
+    assert.deepEqual(visible(), []);
+  });
+
+  it("labels the dismiss button in the current language", () => {
+    toasts.show("Oi");
+
+    const close = document.querySelector(".notification__close");
+    assert.ok(close.getAttribute("aria-label"));
+    assert.equal(close.dataset.i18nAttr, "aria-label:notifications.dismiss");
+  });
+
+  it("runs the action and closes the toast", () => {
+    const onClick = mock.fn();
+    toasts.show("Nova versão", "info", {
+      duration: 0,
+      action: { label: "Recarregar", onClick },
+    });
+
+    document.querySelector(".notification__action").click();
+
+    assert.equal(onClick.mock.callCount(), 1);
+    assert.equal(toasts.getToasts().length, 0);
+  });
+
+  it("pauses the countdown while hovered", () => {
+    toasts.show("Leia com calma", "info", { duration: 1000 });
+    const [element] = toasts.getToasts();
+
+    mock.timers.tick(600);
+    element.dispatchEvent(new window.MouseEvent("mouseenter"));
+    mock.timers.tick(5000);
+    assert.equal(toasts.getToasts().length, 1);
+
+    element.dispatchEvent(new window.MouseEvent("mouseleave"));
+    mock.timers.tick(399);
+    assert.equal(toasts.getToasts().length, 1);
+
+    mock.timers.tick(1);
+    assert.equal(toasts.getToasts().length, 0);
+  });
+
+  it("stays paused while focus or hover remains", () => {
+    toasts.show("Leia com calma", "info", { duration: 1000 });
+    const [element] = toasts.getToasts();
+    const close = element.querySelector(".notification__close");
+
+    element.dispatchEvent(new window.MouseEvent("mouseenter"));
+    close.focus();
+    element.dispatchEvent(new window.MouseEvent("mouseleave"));
+    mock.timers.tick(5000);
+    assert.equal(toasts.getToasts().length, 1);
+
+    close.blur();
+    mock.timers.tick(1000);
+    assert.equal(toasts.getToasts().length, 0);
+  });
+
+  it("moves focus to the next toast when the focused one closes", () => {
+    toasts.show("Primeira", "info", { duration: 0 });
+    toasts.show("Segunda", "info", { duration: 0 });
+    const [first, second] = toasts.getToasts();
+
+    first.querySelector(".notification__close").focus();
+    first.querySelector(".notification__close").click();
+
+    assert.equal(
+      document.activeElement,
+      second.querySelector(".notification__close")
+    );
+  });
+
+  it("drops the oldest toast beyond the limit", () => {
+    ["1", "2", "3", "4", "5"].forEach((message) =>
+      toasts.show(message, "info", { duration: 0 })
+    );
+    mock.timers.tick(300);
+
+    assert.deepEqual(visible(), ["5", "4", "3", "2"]);
+  });
+});
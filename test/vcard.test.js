@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { VCard } from "../js/index.js";
+
+const PERSON = {
+  "@context": "https://schema.org",
+  "@type": "Person",
+  name: "Sandro Júnior",
+  givenName: "Sandro",
+  familyName: "Júnior",
+  jobTitle: "Desenvolvedor Front-End & UI/UX Designer",
+  url: "https://sandrojr26.github.io",
+  address: {
+    "@type": "PostalAddress",
+    addressLocality: "Guanambi",
+    addressRegion: "BA",
+    addressCountry: "BR",
+  },
+  email: "sandrojkl26@hotmail.com",
+  telephone: "+5577991220627",
+  sameAs: [
+    "https://linkedin.com/in/SJrPerfil",
+    "https://github.com/SandroJr26",
+  ],
+};
+
+describe("VCard", () => {
+  it("maps the JSON-LD Person to vCard 4.0", () => {
+    assert.equal(
+      VCard.fromPerson(PERSON).toString(),
+      [
+        "BEGIN:VCARD",
+        "VERSION:4.0",
+        "FN:Sandro Júnior",
+        "N:Júnior;Sandro;;;",
+        "TITLE:Desenvolvedor Front-End & UI/UX Designer",
+        "EMAIL;TYPE=work:sandrojkl26@hotmail.com",
+        "TEL;VALUE=uri;TYPE=cell:tel:+5577991220627",
+        "ADR:;;;Guanambi;BA;;BR",
+        "URL:https://sandrojr26.github.io",
+        "URL:https://linkedin.com/in/SJrPerfil",
+        "URL:https://github.com/SandroJr26",
+        "END:VCARD",
+        "",
+      ].join("\r\n")
+    );
+  });
+
+  it("leaves out missing fields", () => {
+    const card = VCard.fromPerson({ name: "Sandro" }).toString();
+
+    assert.match(card, /FN:Sandro\r\nN:;;;;\r\nEND:VCARD/);
+  });
+
+  it("escapes text values", () => {
+    assert.equal(
+      VCard.escape("Front-End, UI; C:\\dev\nBahia"),
+      "Front-End\\, UI\\; C:\\\\dev\\nBahia"
+    );
+  });
+
+  it("folds lines at 75 octets without splitting characters", () => {
+    const folded = VCard.fold(`NOTE:${"é".repeat(80)}`);
+    const lines = folded.split("\r\n");
+    const octets = (line) => new TextEncoder().encode(line).length;
+
+    assert.ok(lines.length > 1);
+    assert.ok(lines.every((line) => octets(line) <= 75));
+    assert.ok(lines.slice(1).every((line) => line.startsWith(" ")));
+    assert.equal(
+      lines.map((line, i) => (i ? line.slice(1) : line)).join(""),
+      `NOTE:${"é".repeat(80)}`
+    );
+  });
+
+  it("names the file after the contact", () => {
+    assert.equal(VCard.getFileName("Sandro Júnior"), "sandro-junior.vcf");
+    assert.equal(VCard.getFileName("—"), "contato.vcf");
+  });
+});